@@ -6,6 +6,24 @@ const authRoutes = require('./routes/auth.routes');
 const engineerRoutes = require('./routes/engineer.routes');
 const projectRoutes = require('./routes/project.routes');
 const assignmentRoutes = require('./routes/assignment.routes');
+const analyticsRoutes = require('./routes/analytics.routes');
+const userRoutes = require('./routes/user.routes');
+const auditRoutes = require('./routes/audit.routes');
+const timeOffRoutes = require('./routes/timeOff.routes');
+const skillRoutes = require('./routes/skill.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const streamRoutes = require('./routes/stream.routes');
+const scenarioRoutes = require('./routes/scenario.routes');
+const reportRoutes = require('./routes/report.routes');
+const timesheetRoutes = require('./routes/timesheet.routes');
+const docsRoutes = require('./routes/docs.routes');
+const { validateApi } = require('./middleware/openapi.middleware');
+const { REQUEST_ID_HEADER, requestId, accessLog } = require('./middleware/request.middleware');
+const { notFound, errorHandler } = require('./middleware/error.middleware');
+const { logger } = require('./services/logger.service');
+const { startJobs } = require('./jobs/scheduler');
+const { startWebhookDispatcher } = require('./services/webhook.service');
+const { startStreamBroadcaster } = require('./services/stream.service');
 
 // Load environment variables
 dotenv.config();
@@ -13,10 +31,22 @@ dotenv.config();
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, take the client IP (used for rate limiting) from X-Forwarded-For.
+// TRUST_PROXY is the number of proxy hops or a list of trusted proxy addresses.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(accessLog);
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 app.use(express.json());
 
+// Check requests (and, outside production, responses) against the OpenAPI document
+app.use(validateApi);
+
 // Database connection
 const connectDB = async () => {
   try {
@@ -24,15 +54,18 @@ const connectDB = async () => {
       serverSelectionTimeoutMS: 30000,
       socketTimeoutMS: 45000,
     });
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    logger.info('MongoDB connected', { host: conn.connection.host });
+    startJobs();
   } catch (error) {
-    console.error('Database connection failed:', error);
+    logger.error('Database connection failed', { error });
     // Retry connection after 5 seconds
     setTimeout(connectDB, 5000);
   }
 };
 
 connectDB();
+startWebhookDispatcher();
+startStreamBroadcaster();
 
 // mongoose.connect(process.env.DATABASE_URI,{
 //       serverSelectionTimeoutMS: 30000,
@@ -46,15 +79,24 @@ app.use('/api/auth', authRoutes);
 app.use('/api/engineers', engineerRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/assignments', assignmentRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/time-off', timeOffRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/events', streamRoutes);
+app.use('/api/scenarios', scenarioRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/docs', docsRoutes);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Something went wrong!' });
-});
+// Error handling middleware: maps errors to their status and code
+app.use(notFound);
+app.use(errorHandler);
 
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+  logger.info('Server is running', { port: PORT });
 }); 
\ No newline at end of file
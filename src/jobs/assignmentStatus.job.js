@@ -0,0 +1,34 @@
+const Assignment = require('../models/assignment.model');
+
+// Move assignments along their lifecycle as dates pass:
+// accepted -> active once started, accepted/active -> ended once finished.
+const syncAssignmentStatuses = async (now = new Date()) => {
+  // Assignments created before the status lifecycle existed were booked directly
+  await Assignment.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'accepted' } }
+  );
+
+  const ended = await Assignment.updateMany(
+    { status: { $in: ['accepted', 'active'] }, endDate: { $lt: now } },
+    {
+      $set: { status: 'ended' },
+      $push: { statusHistory: { status: 'ended', comment: 'End date passed', changedAt: now } }
+    }
+  );
+
+  const activated = await Assignment.updateMany(
+    { status: 'accepted', startDate: { $lte: now }, endDate: { $gte: now } },
+    {
+      $set: { status: 'active' },
+      $push: { statusHistory: { status: 'active', comment: 'Start date reached', changedAt: now } }
+    }
+  );
+
+  return {
+    ended: ended.modifiedCount,
+    activated: activated.modifiedCount
+  };
+};
+
+module.exports = syncAssignmentStatuses;
@@ -0,0 +1,38 @@
+const Project = require('../models/project.model');
+const { publish } = require('../services/events.service');
+
+// Flag active projects whose end date has passed, and clear the flag once a project
+// is closed, paused or extended.
+const flagOverdueProjects = async (now = new Date()) => {
+  const overdue = await Project.find({
+    status: 'active',
+    endDate: { $lt: now },
+    overdueSince: null
+  });
+
+  if (overdue.length) {
+    await Project.updateMany(
+      { _id: { $in: overdue.map(project => project._id) } },
+      { $set: { overdueSince: now } }
+    );
+    overdue.forEach(project => {
+      project.overdueSince = now;
+      publish('project.overdue', { project });
+    });
+  }
+
+  const cleared = await Project.updateMany(
+    {
+      overdueSince: { $ne: null },
+      $or: [{ status: { $ne: 'active' } }, { endDate: { $gte: now } }]
+    },
+    { $unset: { overdueSince: 1 } }
+  );
+
+  return {
+    flagged: overdue.length,
+    cleared: cleared.modifiedCount
+  };
+};
+
+module.exports = flagOverdueProjects;
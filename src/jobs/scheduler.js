@@ -0,0 +1,50 @@
+const syncAssignmentStatuses = require('./assignmentStatus.job');
+const flagOverdueProjects = require('./projectOverdue.job');
+const { processDueDeliveries } = require('../services/webhook.service');
+const { logger } = require('../services/logger.service');
+
+const jobs = [
+  {
+    name: 'assignment-status',
+    run: syncAssignmentStatuses,
+    intervalMs: () => parseInt(process.env.JOB_INTERVAL_MS) || 60 * 60 * 1000
+  },
+  {
+    name: 'project-overdue',
+    run: flagOverdueProjects,
+    intervalMs: () => parseInt(process.env.JOB_INTERVAL_MS) || 60 * 60 * 1000
+  },
+  {
+    name: 'webhook-delivery',
+    run: processDueDeliveries,
+    intervalMs: () => parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000
+  }
+];
+
+// Log a job's result only when it actually did something
+const runJob = async job => {
+  if (job.running) {
+    return;
+  }
+  job.running = true;
+  try {
+    const result = await job.run();
+    if (result && Object.values(result).some(Boolean)) {
+      logger.info('Job finished', { job: job.name, result });
+    }
+  } catch (error) {
+    logger.error('Job failed', { job: job.name, error });
+  } finally {
+    job.running = false;
+  }
+};
+
+// Run every job once now and then on its own interval
+const startJobs = () => jobs.map(job => {
+  runJob(job);
+  return setInterval(() => runJob(job), job.intervalMs());
+});
+
+module.exports = {
+  startJobs
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { UnauthorizedError, ForbiddenError } = require('../services/errors.service');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,17 +12,25 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+    // Access tokens are only valid while the session that issued them is
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+      throw new Error();
+    }
+
     const user = await User.findById(decoded.userId);
 
-    if (!user) {
+    if (!user || !user.isActive) {
       throw new Error();
     }
 
     req.user = user;
     req.token = token;
+    req.session = session;
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Please authenticate.' });
+    next(new UnauthorizedError());
   }
 };
 
@@ -31,11 +41,11 @@ const authorize = (roles = []) => {
 
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({ message: 'Please authenticate.' });
+      return next(new UnauthorizedError());
     }
 
     if (roles.length && !roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Unauthorized access.' });
+      return next(new ForbiddenError());
     }
 
     next();
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { AppError, BadRequestError, ConflictError, NotFoundError } = require('../services/errors.service');
+const { logger } = require('../services/logger.service');
+
+// Map errors that do not come from the API's own hierarchy onto it
+const toAppError = error => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new BadRequestError(error.message, {
+      code: 'VALIDATION_ERROR',
+      details: Object.values(error.errors).map(({ path, message }) => ({ path, msg: message }))
+    });
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new BadRequestError('Invalid ID format', { code: 'INVALID_ID', details: { path: error.path } });
+  }
+
+  if (error.code === 11000) {
+    return new ConflictError('A record with the same values already exists', {
+      code: 'DUPLICATE_KEY',
+      details: { fields: Object.keys(error.keyValue || {}) }
+    });
+  }
+
+  // Body parser errors
+  if (error.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed request body', { code: 'INVALID_BODY' });
+  }
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, { status: error.status, code: 'BAD_REQUEST' });
+  }
+
+  return null;
+};
+
+// The response body for an AppError
+const errorBody = (req, error) => ({
+  message: error.message,
+  error: error.code,
+  details: error.details,
+  requestId: req.id
+});
+
+// Requests no router handled
+const notFound = (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Answer every error as { message, error, details, requestId }. Unexpected errors are
+// logged with their stack and reported without internals.
+const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err) || new AppError('Internal server error');
+
+  if (error.status >= 500) {
+    logger.error('Unhandled error', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      error: err
+    });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status).json(errorBody(req, error));
+};
+
+module.exports = {
+  errorBody,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,260 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { METHODS, document } = require('../openapi');
+const { AppError, RequestValidationError } = require('../services/errors.service');
+const { logger } = require('../services/logger.service');
+const { errorBody } = require('./error.middleware');
+
+const SCHEMA_ID = 'openapi.json';
+
+// 'off', 'warn' (log mismatches) or 'fail' (answer 500 instead of a response that breaks the spec)
+const responseValidationMode = () => process.env.OPENAPI_RESPONSE_VALIDATION
+  || (process.env.NODE_ENV === 'production' ? 'off' : 'warn');
+
+const createAjv = options => {
+  const ajv = new Ajv({ strict: false, allErrors: true, ...options });
+  addFormats(ajv);
+  ajv.addSchema({ $id: SCHEMA_ID, components: { schemas: document.components.schemas } });
+  return ajv;
+};
+
+// Query strings and path segments arrive as strings, so parameters are coerced before checking
+const parameterAjv = createAjv({ coerceTypes: 'array' });
+const bodyAjv = createAjv();
+
+// Point local component refs at the registered document
+const resolveRefs = schema => JSON.parse(
+  JSON.stringify(schema).replace(/"#\/components\//g, `"${SCHEMA_ID}#/components/`)
+);
+
+// Parameters and responses may be references to reusable components
+const dereference = (item, section) => (item.$ref
+  ? document.components[section][item.$ref.split('/').pop()]
+  : item);
+
+const parameterSchema = (parameters, location) => {
+  const selected = parameters.filter(parameter => parameter.in === location);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(selected.map(parameter => [parameter.name, parameter.schema])),
+    required: selected.filter(parameter => parameter.required).map(parameter => parameter.name)
+  };
+};
+
+const jsonSchemaOf = content => content?.['application/json']?.schema;
+
+// Validators for one operation, compiled the first time it is called
+const compileOperation = operation => {
+  const parameters = (operation.parameters || []).map(parameter => dereference(parameter, 'parameters'));
+  const bodySchema = jsonSchemaOf(operation.requestBody?.content);
+  const responses = {};
+
+  return {
+    params: parameterAjv.compile(resolveRefs(parameterSchema(parameters, 'path'))),
+    query: parameterAjv.compile(resolveRefs(parameterSchema(parameters, 'query'))),
+    body: bodySchema && bodyAjv.compile(resolveRefs(bodySchema)),
+
+    // Validator for a response status; null when it is not a documented JSON body
+    response(status) {
+      if (!(status in responses)) {
+        const response = operation.responses[status] || operation.responses.default;
+        const schema = response && jsonSchemaOf(dereference(response, 'responses').content);
+        responses[status] = schema ? bodyAjv.compile(resolveRefs(schema)) : null;
+      }
+      return responses[status];
+    }
+  };
+};
+
+// Path templates from the document, static segments taking precedence over parameters
+const routes = Object.entries(document.paths)
+  .map(([path, pathItem]) => {
+    const segments = path.split('/').slice(1).map(segment => {
+      const match = segment.match(/^\{(.+)\}$/);
+      return match ? { param: match[1] } : { value: segment };
+    });
+    return {
+      segments,
+      pathItem,
+      rank: segments.map(segment => (segment.param ? 1 : 0)).join(''),
+      operations: {}
+    };
+  })
+  .sort((a, b) => a.rank.localeCompare(b.rank));
+
+// Match the way Express routes: case-insensitively, ignoring empty segments such as the
+// ones in '//' or a trailing slash. Anything Express would route here must be checked.
+const matchRoute = requestPath => {
+  const parts = requestPath.split('/').filter(Boolean);
+
+  for (const route of routes) {
+    if (route.segments.length !== parts.length) {
+      continue;
+    }
+
+    const params = {};
+    const matches = route.segments.every((segment, index) => {
+      if (segment.param) {
+        params[segment.param] = decodeURIComponent(parts[index]);
+        return true;
+      }
+      return segment.value.toLowerCase() === parts[index].toLowerCase();
+    });
+
+    if (matches) {
+      return { route, params };
+    }
+  }
+  return null;
+};
+
+const operationFor = req => {
+  const method = req.method.toLowerCase();
+  if (!METHODS.includes(method)) {
+    return null;
+  }
+
+  let match;
+  try {
+    match = matchRoute(req.path);
+  } catch (error) {
+    // Malformed percent-encoding; leave it to the router
+    return null;
+  }
+  if (!match || !match.route.pathItem[method]) {
+    return null;
+  }
+
+  const { route, params } = match;
+  if (!route.operations[method]) {
+    route.operations[method] = compileOperation(route.pathItem[method]);
+  }
+  return { validators: route.operations[method], params };
+};
+
+// Location of an error within the checked value, as path segments
+const errorSegments = error => {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  } else if (error.keyword === 'additionalProperties') {
+    segments.push(error.params.additionalProperty);
+  }
+  return segments;
+};
+
+// Same notation as express-validator: phases[0].name
+const formatPath = segments => segments.reduce((path, segment) => (/^\d+$/.test(segment)
+  ? `${path}[${segment}]`
+  : path ? `${path}.${segment}` : segment), '');
+
+const errorMessage = error => {
+  if (error.keyword === 'required') {
+    return 'Required';
+  }
+  if (error.keyword === 'additionalProperties') {
+    return 'Unknown field';
+  }
+  return `Invalid value: ${error.message}`;
+};
+
+// Report schema errors in the express-validator format the routes already use
+const toValidationErrors = (errors, location, data) => errors.map(error => {
+  const segments = errorSegments(error);
+  return {
+    type: 'field',
+    msg: errorMessage(error),
+    path: formatPath(segments),
+    location,
+    value: error.keyword === 'required'
+      ? undefined
+      : segments.reduce((value, segment) => value?.[segment], data)
+  };
+});
+
+const checkRequest = (req, { validators, params }) => {
+  const errors = [];
+
+  if (!validators.params(params)) {
+    errors.push(...toValidationErrors(validators.params.errors, 'params', params));
+  }
+
+  // Validate a copy so coercion does not change what the routes see
+  const query = JSON.parse(JSON.stringify(req.query));
+  if (!validators.query(query)) {
+    errors.push(...toValidationErrors(validators.query.errors, 'query', req.query));
+  }
+
+  // Only JSON bodies are described; CSV uploads are parsed and checked by their routes
+  if (validators.body) {
+    const body = req.body === undefined ? {} : req.body;
+    if (!validators.body(body)) {
+      errors.push(...toValidationErrors(validators.body.errors, 'body', body));
+    }
+  }
+
+  return errors;
+};
+
+// Check JSON responses against the documented schema for their status code
+const watchResponses = (req, res, validators) => {
+  const mode = responseValidationMode();
+  if (mode === 'off') {
+    return;
+  }
+
+  const send = res.json.bind(res);
+  res.json = body => {
+    const validate = validators.response(String(res.statusCode));
+    const data = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+
+    if (!validate || validate(data)) {
+      return send(body);
+    }
+
+    const errors = toValidationErrors(validate.errors, 'response', data).map(error => ({
+      path: error.path,
+      msg: error.msg
+    }));
+    logger.warn('Response does not match the API specification', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      errors
+    });
+
+    if (mode === 'fail') {
+      res.status(500);
+      return send(errorBody(req, new AppError('Response does not match the API specification', {
+        code: 'INVALID_RESPONSE'
+      })));
+    }
+    return send(body);
+  };
+};
+
+// Validate requests against the OpenAPI document before they reach the routes. Requests
+// the document does not describe are passed through untouched.
+const validateApi = (req, res, next) => {
+  const operation = operationFor(req);
+  if (!operation) {
+    return next();
+  }
+
+  const errors = checkRequest(req, operation);
+  if (errors.length) {
+    return next(new RequestValidationError(errors));
+  }
+
+  watchResponses(req, res, operation.validators);
+  next();
+};
+
+module.exports = {
+  validateApi
+};
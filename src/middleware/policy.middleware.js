@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Project = require('../models/project.model');
+const { projectRole, roleAllows } = require('../services/policy.service');
+const { NotFoundError, ForbiddenError } = require('../services/errors.service');
+
+// Load the project in req.params.id into req.project, requiring a permission on it.
+// Projects the user cannot read are reported as not found.
+const requireProject = (permission = 'read') => async (req, res, next) => {
+  try {
+    const project = mongoose.isValidObjectId(req.params.id)
+      ? await Project.findById(req.params.id)
+      : null;
+    const role = project ? await projectRole(req.user, project) : null;
+
+    if (!roleAllows(role, 'read')) {
+      return next(new NotFoundError('Project not found'));
+    }
+
+    if (!roleAllows(role, permission)) {
+      return next(new ForbiddenError('Not authorized to access this project'));
+    }
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireProject
+};
@@ -0,0 +1,46 @@
+const { hit } = require('../services/rateLimit.service');
+const { TooManyRequestsError } = require('../services/errors.service');
+const { logger } = require('../services/logger.service');
+
+// Limit requests to `max` per `windowMs` for the key keyOf(req) gives, counted under `name`.
+// Requests without a key are not counted. Limits are functions so they follow the environment.
+// onLimit runs for every rejected request.
+const rateLimit = ({ name, windowMs, max, keyOf = req => req.ip, onLimit }) => async (req, res, next) => {
+  let result;
+  try {
+    const key = keyOf(req);
+    if (!key) {
+      return next();
+    }
+
+    const limit = max();
+    const { count, resetAt } = await hit(`${name}:${key}`, windowMs());
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (count > limit) {
+      result = { retryAfter };
+    }
+  } catch (error) {
+    // Fail open: an unavailable counter store must not lock everyone out
+    logger.error('Rate limit store error', { requestId: req.id, limit: name, error });
+    return next();
+  }
+
+  if (!result) {
+    return next();
+  }
+
+  if (onLimit) {
+    await Promise.resolve(onLimit(req)).catch(() => {});
+  }
+
+  next(new TooManyRequestsError(result.retryAfter));
+};
+
+module.exports = {
+  rateLimit
+};
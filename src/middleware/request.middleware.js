@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { logger } = require('../services/logger.service');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept the caller's ID (e.g. from a gateway) when it is safe to log, otherwise make one
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request a correlation ID, echoed in the X-Request-Id response header
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+};
+
+// Log one line per request once the response is sent. The query string is left out because
+// it can carry tokens (calendar feeds, password resets).
+const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    logger.info('request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3,
+      userId: req.user?._id?.toString(),
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  });
+  next();
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestId,
+  accessLog
+};
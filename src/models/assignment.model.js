@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const { checkAllocation } = require('../services/allocation.service');
+
+const ASSIGNMENT_STATUSES = ['proposed', 'accepted', 'declined', 'active', 'ended'];
+
+// Statuses that never hold capacity. Proposals hold capacity unless
+// PROPOSALS_RESERVE_CAPACITY is set to 'false'.
+const nonReservingStatuses = () => (process.env.PROPOSALS_RESERVE_CAPACITY === 'false'
+  ? ['declined', 'proposed']
+  : ['declined']);
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ASSIGNMENT_STATUSES,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
 
 const assignmentSchema = new mongoose.Schema({
   engineerId: {
@@ -19,34 +50,26 @@ const assignmentSchema = new mongoose.Schema({
     ref: 'Project',
     required: true
   },
-  allocationPercentage: {
-    type: Number,
-    required: true,
-    min: 0,
-    max: 100,
+  phaseId: {
+    type: mongoose.Schema.Types.ObjectId,
     validate: {
       validator: async function(value) {
-        if (this.isNew || this.isModified('allocationPercentage')) {
-          const Assignment = this.constructor;
-          const currentAssignments = await Assignment.find({
-            engineerId: this.engineerId,
-            _id: { $ne: this._id },
-            startDate: { $lte: this.endDate },
-            endDate: { $gte: this.startDate }
-          });
-          
-          const totalAllocation = currentAssignments.reduce(
-            (sum, assignment) => sum + assignment.allocationPercentage,
-            0
-          ) + value;
-          
-          return totalAllocation <= 100;
+        if (!value) {
+          return true;
         }
-        return true;
+        const Project = mongoose.model('Project');
+        const project = await Project.findOne({ _id: this.projectId, 'phases._id': value });
+        return Boolean(project);
       },
-      message: 'Total allocation percentage cannot exceed 100%'
+      message: 'Phase does not belong to the project'
     }
   },
+  allocationPercentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
   startDate: {
     type: Date,
     required: true
@@ -65,40 +88,73 @@ const assignmentSchema = new mongoose.Schema({
     type: String,
     required: true,
     trim: true
-  }
+  },
+  status: {
+    type: String,
+    enum: ASSIGNMENT_STATUSES,
+    default: 'proposed'
+  },
+  statusHistory: [statusChangeSchema]
 }, {
   timestamps: true
 });
 
+const CAPACITY_FIELDS = ['allocationPercentage', 'startDate', 'endDate', 'status'];
+
+// Capacity depends on the allocation, the dates and the status, and a path validator only runs
+// for its own path, so the check lives here. Skipping allocationPercentage (pathsToSkip) skips
+// it, e.g. for scenario drafts that are checked against the whole scenario instead.
+const checkCapacity = async (assignment, pathsToValidate, options) => {
+  const skipped = options?.pathsToSkip?.includes('allocationPercentage') ||
+    (Array.isArray(pathsToValidate) && !pathsToValidate.includes('allocationPercentage'));
+  const changed = assignment.isNew || CAPACITY_FIELDS.some(field => assignment.isModified(field));
+  const complete = assignment.allocationPercentage != null && assignment.startDate && assignment.endDate;
+
+  if (skipped || !changed || !complete || nonReservingStatuses().includes(assignment.status)) {
+    return;
+  }
+
+  const availability = await assignment.constructor.checkAvailability(
+    assignment.engineerId,
+    assignment.startDate,
+    assignment.endDate,
+    // Overlapping leave is handled by LEAVE_OVERLAP_POLICY where assignments are made
+    { allocationPercentage: assignment.allocationPercentage, excludeAssignmentId: assignment._id, countTimeOff: false }
+  );
+  if (!availability.isAvailable) {
+    assignment.invalidate(
+      'allocationPercentage',
+      'Total allocation percentage cannot exceed the engineer\'s maximum capacity',
+      assignment.allocationPercentage
+    );
+  }
+};
+
+assignmentSchema.pre('validate', function(next, pathsToValidate, options) {
+  checkCapacity(this, pathsToValidate, options).then(() => next(), next);
+});
+
 // Add indexes for common queries
 assignmentSchema.index({ engineerId: 1, startDate: 1, endDate: 1 });
 assignmentSchema.index({ projectId: 1, startDate: 1, endDate: 1 });
+assignmentSchema.index({ status: 1, projectId: 1 });
 
-// Method to check engineer's availability
-assignmentSchema.statics.checkAvailability = async function(engineerId, startDate, endDate) {
-  const assignments = await this.find({
-    engineerId,
-    startDate: { $lte: endDate },
-    endDate: { $gte: startDate }
+// Record a status change along with who made it and why
+assignmentSchema.methods.transitionTo = function(status, { user, comment } = {}) {
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    comment,
+    changedBy: user?._id
   });
+};
 
-  const timelineMap = new Map();
-  assignments.forEach(assignment => {
-    let current = new Date(assignment.startDate);
-    while (current <= assignment.endDate) {
-      const dateKey = current.toISOString().split('T')[0];
-      timelineMap.set(
-        dateKey,
-        (timelineMap.get(dateKey) || 0) + assignment.allocationPercentage
-      );
-      current.setDate(current.getDate() + 1);
-    }
-  });
+assignmentSchema.statics.STATUSES = ASSIGNMENT_STATUSES;
+assignmentSchema.statics.nonReservingStatuses = nonReservingStatuses;
 
-  return {
-    isAvailable: Array.from(timelineMap.values()).every(value => value < 100),
-    allocations: Object.fromEntries(timelineMap)
-  };
+// Method to check engineer's availability against their maxCapacity
+assignmentSchema.statics.checkAvailability = function(engineerId, startDate, endDate, options) {
+  return checkAllocation(engineerId, startDate, endDate, options);
 };
 
 const Assignment = mongoose.model('Assignment', assignmentSchema);
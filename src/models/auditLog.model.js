@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['Project', 'Assignment'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Projects the entity belonged to: the project itself, or an assignment's project before
+  // and after the change. Access to the entry follows them after the entity is deleted.
+  projectIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  }],
+  // Map of field name to { before, after } for every field the mutation touched
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: 'timestamp', updatedAt: false }
+});
+
+// Add indexes for common queries
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ actorId: 1, timestamp: -1 });
+auditLogSchema.index({ projectIds: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+// The audit log is append-only: block every update and delete path
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectMutation);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const calendarFeedSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['engineer', 'project'],
+    required: true
+  },
+  // The engineer or project whose assignments the feed publishes
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Only the hash is stored; the raw token is part of the subscription URL
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One feed per resource; issuing a new token replaces the old one
+calendarFeedSchema.index({ scope: 1, resourceId: 1 }, { unique: true });
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
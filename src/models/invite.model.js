@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: ['engineer', 'manager', 'admin'],
+    required: true
+  },
+  // Only the hash is stored; the raw token is sent to the invitee
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Add indexes for common queries
+inviteSchema.index({ email: 1, usedAt: 1 });
+inviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Invite = mongoose.model('Invite', inviteSchema);
+
+module.exports = Invite;
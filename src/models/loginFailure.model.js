@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = () => parseInt(process.env.LOGIN_FAILURE_RETENTION_DAYS) || 90;
+
+const LOGIN_FAILURE_REASONS = ['unknown_user', 'bad_password', 'locked', 'deactivated', 'rate_limited'];
+
+// A rejected sign-in or password check, kept for security review
+const loginFailureSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: LOGIN_FAILURE_REASONS,
+    required: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Add indexes for common queries
+loginFailureSchema.index({ email: 1, occurredAt: -1 });
+loginFailureSchema.index({ ip: 1, occurredAt: -1 });
+loginFailureSchema.index({ occurredAt: 1 }, { expireAfterSeconds: RETENTION_DAYS() * 24 * 60 * 60 });
+
+loginFailureSchema.statics.REASONS = LOGIN_FAILURE_REASONS;
+
+const LoginFailure = mongoose.model('LoginFailure', loginFailureSchema);
+
+module.exports = LoginFailure;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Failed sign-ins for one account from one client IP. Locks are scoped the same way, so
+// guessing someone's password from elsewhere does not lock the owner out.
+const loginLockSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  // Wrong passwords since the last successful sign-in or lock
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Locks since the last successful sign-in; each lock lasts longer than the one before
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+loginLockSchema.index({ userId: 1, ip: 1 }, { unique: true });
+
+// Forget counters nobody has touched for a long time
+loginLockSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+loginLockSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lockedUntil && this.lockedUntil > now);
+};
+
+const LoginLock = mongoose.model('LoginLock', loginLockSchema);
+
+module.exports = LoginLock;
@@ -1,4 +1,107 @@
 const mongoose = require('mongoose');
+const { requiredSkillSchema, skillList } = require('./skillRef.schema');
+const { resolveSkillEntries } = require('../services/skill.service');
+
+const PROJECT_STATUSES = ['planning', 'active', 'on_hold', 'completed', 'cancelled'];
+
+// Statuses a project may be created with
+const INITIAL_STATUSES = ['planning', 'active'];
+
+// Statuses in which engineers may be staffed onto the project
+const STAFFABLE_STATUSES = ['planning', 'active'];
+
+// Allowed moves between statuses. Cancelled is final; completed can only be reopened.
+const STATUS_TRANSITIONS = {
+  planning: ['active', 'on_hold', 'cancelled'],
+  active: ['on_hold', 'completed', 'cancelled'],
+  on_hold: ['planning', 'active', 'cancelled'],
+  completed: ['active'],
+  cancelled: []
+};
+
+// Moves that must be explained: pausing, cancelling and reopening a completed project
+const requiresReason = (from, to) => ['on_hold', 'cancelled'].includes(to) || from === 'completed';
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: PROJECT_STATUSES
+  },
+  status: {
+    type: String,
+    enum: PROJECT_STATUSES,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// Roles a project can be shared with, besides its owning manager
+const MEMBER_ROLES = ['co_manager', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const phaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return value > this.startDate;
+      },
+      message: 'Phase end date must be after its start date'
+    }
+  },
+  // Target number of engineers working on the project during the phase
+  headcount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  requiredSkills: skillList(requiredSkillSchema)
+});
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -25,20 +128,33 @@ const projectSchema = new mongoose.Schema({
       message: 'End date must be after start date'
     }
   },
-  requiredSkills: [{
-    type: String,
-    trim: true
-  }],
+  requiredSkills: skillList(requiredSkillSchema),
   teamSize: {
     type: Number,
     required: true,
     min: 1
   },
+  phases: {
+    type: [phaseSchema],
+    validate: {
+      validator: function(phases) {
+        return phases.every(phase =>
+          phase.startDate >= this.startDate && phase.endDate <= this.endDate
+        );
+      },
+      message: 'Phases must fall within the project dates'
+    }
+  },
   status: {
     type: String,
-    enum: ['planning', 'active', 'completed'],
+    enum: PROJECT_STATUSES,
     default: 'planning'
   },
+  statusHistory: [statusChangeSchema],
+  // Set by the scheduled job while an active project is past its end date
+  overdueSince: {
+    type: Date
+  },
   managerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -51,21 +167,87 @@ const projectSchema = new mongoose.Schema({
       },
       message: 'Invalid manager ID'
     }
+  },
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: function(members) {
+        const userIds = members.map(member => member.userId.toString());
+        return new Set(userIds).size === userIds.length &&
+          !userIds.includes(this.managerId?.toString());
+      },
+      message: 'Members must be unique and must not include the owning manager'
+    }
   }
 }, {
   timestamps: true
 });
 
+// Resolve required skill names and aliases against the catalogue, for the project and its phases
+projectSchema.pre('validate', async function() {
+  const lists = [];
+  if (this.isModified('requiredSkills')) {
+    lists.push(['requiredSkills', this.requiredSkills]);
+  }
+  if (this.isModified('phases')) {
+    this.phases.forEach((phase, index) => lists.push([`phases.${index}.requiredSkills`, phase.requiredSkills]));
+  }
+
+  for (const [path, entries] of lists) {
+    const unknown = await resolveSkillEntries(entries);
+    if (unknown.length) {
+      this.invalidate(path, `Unknown skills: ${unknown.join(', ')}`);
+    }
+  }
+});
+
 // Add index for common queries
 projectSchema.index({ status: 1, managerId: 1 });
 projectSchema.index({ startDate: 1, endDate: 1 });
+projectSchema.index({ 'requiredSkills.skill': 1 });
+projectSchema.index({ 'members.userId': 1 });
 
-// Virtual for current team size
+// Whether the project may move to the given status
+projectSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+projectSchema.methods.isStaffable = function() {
+  return STAFFABLE_STATUSES.includes(this.status);
+};
+
+// Record a status change along with who made it and why
+projectSchema.methods.transitionTo = function(status, { user, reason } = {}) {
+  this.statusHistory.push({
+    from: this.status,
+    status,
+    reason,
+    changedBy: user?._id
+  });
+  this.status = status;
+};
+
+projectSchema.statics.STATUSES = PROJECT_STATUSES;
+projectSchema.statics.INITIAL_STATUSES = INITIAL_STATUSES;
+projectSchema.statics.STAFFABLE_STATUSES = STAFFABLE_STATUSES;
+projectSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+projectSchema.statics.requiresReason = requiresReason;
+projectSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+// Virtual for current team size: assignments holding capacity on the project today
 projectSchema.virtual('currentTeamSize', {
   ref: 'Assignment',
   localField: '_id',
   foreignField: 'projectId',
-  count: true
+  count: true,
+  match: () => {
+    const now = new Date();
+    return {
+      status: { $nin: mongoose.model('Assignment').nonReservingStatuses() },
+      startDate: { $lte: now },
+      endDate: { $gte: now }
+    };
+  }
 });
 
 const Project = mongoose.model('Project', projectSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Request count for one rate-limit key in the current fixed window
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove counters once their window is over
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const SCENARIO_STATUSES = ['draft', 'applied', 'discarded'];
+const CHANGE_OPERATIONS = ['create', 'update', 'delete'];
+
+// One draft change to live assignments. For creates, the change _id becomes the new
+// assignment's _id when the scenario is applied.
+const scenarioChangeSchema = new mongoose.Schema({
+  operation: {
+    type: String,
+    enum: CHANGE_OPERATIONS,
+    required: true
+  },
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: function() {
+      return this.operation !== 'create';
+    }
+  },
+  // All assignment fields for creates, only the changed fields for updates
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const scenarioSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: SCENARIO_STATUSES,
+    default: 'draft'
+  },
+  changes: [scenarioChangeSchema],
+  appliedAt: {
+    type: Date
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Add indexes for common queries
+scenarioSchema.index({ ownerId: 1, status: 1 });
+
+scenarioSchema.statics.STATUSES = SCENARIO_STATUSES;
+scenarioSchema.statics.CHANGE_OPERATIONS = CHANGE_OPERATIONS;
+
+const Scenario = mongoose.model('Scenario', scenarioSchema);
+
+module.exports = Scenario;
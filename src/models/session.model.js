@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the only refresh token id that may still be exchanged for this session
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_change', 'password_reset']
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add indexes for common queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Lookup key for names and aliases: case-insensitive, whitespace-collapsed
+const normalizeSkillName = name => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  category: {
+    type: String,
+    trim: true,
+    default: 'general'
+  }
+}, {
+  timestamps: true
+});
+
+// Add indexes for common queries
+skillSchema.index({ aliases: 1 });
+skillSchema.index({ category: 1, name: 1 });
+
+// Keep the lookup key and aliases normalized
+skillSchema.pre('validate', function(next) {
+  this.key = normalizeSkillName(this.name);
+  this.aliases = [...new Set(this.aliases.map(normalizeSkillName))]
+    .filter(alias => alias && alias !== this.key);
+  next();
+});
+
+skillSchema.statics.normalizeName = normalizeSkillName;
+
+const Skill = mongoose.model('Skill', skillSchema);
+
+module.exports = Skill;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Proficiency scale shared by engineer skills and project requirements
+const SKILL_LEVELS = {
+  1: 'novice',
+  2: 'beginner',
+  3: 'competent',
+  4: 'proficient',
+  5: 'expert'
+};
+const MIN_SKILL_LEVEL = 1;
+const MAX_SKILL_LEVEL = 5;
+
+// A skill an engineer has. `name` caches the catalogue's canonical name.
+const userSkillSchema = new mongoose.Schema({
+  skill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  level: {
+    type: Number,
+    min: MIN_SKILL_LEVEL,
+    max: MAX_SKILL_LEVEL,
+    default: 3
+  },
+  years: {
+    type: Number,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+// A skill a project or phase needs, with the lowest acceptable level
+const requiredSkillSchema = new mongoose.Schema({
+  skill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  minLevel: {
+    type: Number,
+    min: MIN_SKILL_LEVEL,
+    max: MAX_SKILL_LEVEL,
+    default: MIN_SKILL_LEVEL
+  }
+}, {
+  _id: false
+});
+
+// Skill lists accept plain names as shorthand for { name }; names are resolved
+// against the catalogue before validation.
+const skillList = schema => ({
+  type: [schema],
+  set: values => (values || []).map(value => (typeof value === 'string' ? { name: value } : value))
+});
+
+module.exports = {
+  SKILL_LEVELS,
+  MIN_SKILL_LEVEL,
+  MAX_SKILL_LEVEL,
+  userSkillSchema,
+  requiredSkillSchema,
+  skillList
+};
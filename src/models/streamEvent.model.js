@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const RETENTION_HOURS = () => parseInt(process.env.STREAM_EVENT_RETENTION_HOURS) || 24;
+
+// Recent domain events kept so SSE clients can resume from Last-Event-ID
+const streamEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Who may see the event besides admins: specific users, or everyone with a role
+  audience: {
+    userIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    roles: [{
+      type: String
+    }]
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Add indexes for common queries
+streamEventSchema.index({ 'audience.userIds': 1, _id: 1 });
+streamEventSchema.index({ 'audience.roles': 1, _id: 1 });
+streamEventSchema.index({ occurredAt: 1 }, { expireAfterSeconds: RETENTION_HOURS() * 60 * 60 });
+
+const StreamEvent = mongoose.model('StreamEvent', streamEventSchema);
+
+module.exports = StreamEvent;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const timeOffSchema = new mongoose.Schema({
+  engineerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['vacation', 'sick', 'training', 'other'],
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return value >= this.startDate;
+      },
+      message: 'End date must not be before start date'
+    }
+  },
+  // Share of the engineer's capacity that is unavailable on each day (100 = full days off)
+  percentage: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 100
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewComment: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add indexes for common queries
+timeOffSchema.index({ engineerId: 1, status: 1, startDate: 1, endDate: 1 });
+timeOffSchema.index({ status: 1, startDate: 1 });
+
+const TimeOff = mongoose.model('TimeOff', timeOffSchema);
+
+module.exports = TimeOff;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const PERIODS = ['day', 'week'];
+const TIMESHEET_STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+
+// Most hours that can be logged for one assignment in a day or a week
+const MAX_HOURS = { day: 24, week: 7 * 24 };
+
+// Hours an engineer logged against one assignment for a day, or for a week starting Monday
+const timesheetEntrySchema = new mongoose.Schema({
+  engineerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  // Copied from the assignment so entries can be filtered and reported by project
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: PERIODS,
+    default: 'day'
+  },
+  // The day logged, or the Monday of the week logged (UTC midnight)
+  date: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return this.period !== 'week' || value.getUTCDay() === 1;
+      },
+      message: 'Weekly entries must start on a Monday'
+    }
+  },
+  hours: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: function(value) {
+        return value <= MAX_HOURS[this.period];
+      },
+      message: 'Too many hours for the period'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: TIMESHEET_STATUSES,
+    default: 'draft'
+  },
+  submittedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewComment: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per assignment, period and date
+timesheetEntrySchema.index({ assignmentId: 1, period: 1, date: 1 }, { unique: true });
+timesheetEntrySchema.index({ engineerId: 1, status: 1, date: 1 });
+timesheetEntrySchema.index({ projectId: 1, status: 1, date: 1 });
+
+timesheetEntrySchema.statics.PERIODS = PERIODS;
+timesheetEntrySchema.statics.STATUSES = TIMESHEET_STATUSES;
+
+const TimesheetEntry = mongoose.model('TimesheetEntry', timesheetEntrySchema);
+
+module.exports = TimesheetEntry;
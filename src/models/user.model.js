@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { userSkillSchema, skillList } = require('./skillRef.schema');
+const { resolveSkillEntries } = require('../services/skill.service');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -20,13 +22,23 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['engineer', 'manager'],
+    enum: ['engineer', 'manager', 'admin'],
     required: true
   },
-  skills: [{
-    type: String,
-    trim: true
-  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  // Bumped inside transactions that change the engineer's assignments, so two of them
+  // checking capacity at the same time conflict instead of both committing
+  allocationVersion: {
+    type: Number,
+    default: 0
+  },
+  skills: skillList(userSkillSchema),
   seniority: {
     type: String,
     enum: ['junior', 'mid', 'senior'],
@@ -54,6 +66,17 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Resolve skill names and aliases against the catalogue
+userSchema.pre('validate', async function() {
+  if (!this.isModified('skills')) {
+    return;
+  }
+  const unknown = await resolveSkillEntries(this.skills);
+  if (unknown.length) {
+    this.invalidate('skills', `Unknown skills: ${unknown.join(', ')}`);
+  }
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -79,6 +102,8 @@ userSchema.methods.toPublicJSON = function() {
   return user;
 };
 
+userSchema.index({ 'skills.skill': 1, 'skills.level': 1 });
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../services/events.service');
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function(value) {
+        return /^https?:\/\//.test(value);
+      },
+      message: 'Webhook URL must use http or https'
+    }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Event types to deliver; '*' subscribes to everything
+  events: {
+    type: [{
+      type: String,
+      enum: [...EVENT_TYPES, '*']
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length > 0;
+      },
+      message: 'At least one event is required'
+    }
+  },
+  // Shared secret used to sign deliveries; never returned after creation
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Add index for common queries
+webhookSchema.index({ isActive: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  responseStatus: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+// One queued delivery of an event to a webhook; doubles as the delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Add indexes for common queries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ event: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,638 @@
+const Project = require('../models/project.model');
+const Assignment = require('../models/assignment.model');
+const TimesheetEntry = require('../models/timesheetEntry.model');
+const Scenario = require('../models/scenario.model');
+const LoginFailure = require('../models/loginFailure.model');
+const { EVENT_TYPES } = require('../services/events.service');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../services/listQuery.service');
+const { MIN_SKILL_LEVEL, MAX_SKILL_LEVEL } = require('../models/skillRef.schema');
+
+const ROLES = ['engineer', 'manager', 'admin'];
+const SENIORITIES = ['junior', 'mid', 'senior'];
+const TIME_OFF_TYPES = ['vacation', 'sick', 'training', 'other'];
+const TIME_OFF_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const DELIVERY_STATUSES = ['pending', 'processing', 'succeeded', 'failed'];
+
+// Helpers for building schemas and operations
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+// OpenAPI 3.0 only allows nullable next to a type, so references are wrapped
+const nullable = schema => (schema.type
+  ? { ...schema, nullable: true }
+  : { anyOf: [schema, { type: 'string', nullable: true, enum: [null] }] });
+
+// A reference field that is either an id or the populated document
+const refOr = name => ({ anyOf: [ref('ObjectId'), ref(name)] });
+
+const object = (properties, { required, additionalProperties } = {}) => ({
+  type: 'object',
+  ...(required ? { required } : {}),
+  properties,
+  ...(additionalProperties === undefined ? {} : { additionalProperties })
+});
+
+// Request bodies accept only the listed fields
+const input = (properties, required) => object(properties, { required, additionalProperties: false });
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+const csvBody = description => ({
+  required: true,
+  description,
+  content: {
+    'text/csv': { schema: { type: 'string' } },
+    'text/plain': { schema: { type: 'string' } }
+  }
+});
+
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const file = (description, type) => ({
+  description,
+  content: { [type]: { schema: { type: 'string' } } }
+});
+
+const message = description => json(description, ref('Message'));
+
+const queryParam = (name, schema, { required = false, description } = {}) => ({
+  name,
+  in: 'query',
+  required,
+  ...(description ? { description } : {}),
+  schema
+});
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  ...(description ? { description } : {}),
+  schema: ref('ObjectId')
+});
+
+const idParam = description => pathParam('id', description);
+
+const listQueryParams = [
+  { $ref: '#/components/parameters/page' },
+  { $ref: '#/components/parameters/limit' },
+  { $ref: '#/components/parameters/cursor' },
+  { $ref: '#/components/parameters/sort' },
+  { $ref: '#/components/parameters/fields' }
+];
+
+const listOf = name => object({
+  data: arrayOf(ref(name)),
+  meta: ref('ListMeta')
+}, { required: ['data', 'meta'] });
+
+const skillLevel = { type: 'integer', minimum: MIN_SKILL_LEVEL, maximum: MAX_SKILL_LEVEL };
+
+const schemas = {
+  ObjectId: {
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{24}$',
+    example: '64b7f0c2e4b0a1a2b3c4d5e6'
+  },
+  // ISO 8601 date or date-time
+  IsoDate: {
+    type: 'string',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?)?$',
+    example: '2026-01-31'
+  },
+  DateTime: {
+    type: 'string',
+    format: 'date-time'
+  },
+  Error: object({
+    message: { type: 'string' },
+    error: { type: 'string', description: 'Stable error code, e.g. VALIDATION_ERROR or NOT_FOUND', example: 'NOT_FOUND' },
+    details: { description: 'Depends on the code; for VALIDATION_ERROR, the invalid fields as { type, msg, path, location, value }' },
+    requestId: { type: 'string', description: 'Also sent as the X-Request-Id header' }
+  }, { required: ['message', 'error'] }),
+  Message: object({
+    message: { type: 'string' }
+  }, { required: ['message'] }),
+  ListMeta: object({
+    total: { type: 'integer' },
+    limit: { type: 'integer' },
+    page: { type: 'integer' },
+    pages: { type: 'integer' },
+    sort: { type: 'string' },
+    hasMore: { type: 'boolean' },
+    nextCursor: nullable({ type: 'string' })
+  }, { required: ['total', 'limit', 'hasMore'] }),
+  ImportResult: object({
+    dryRun: { type: 'boolean' },
+    valid: { type: 'boolean' },
+    total: { type: 'integer', description: 'Rows in the file' },
+    created: { type: 'integer' },
+    ids: arrayOf(ref('ObjectId')),
+    errors: arrayOf(object({
+      row: { type: 'integer' },
+      field: { type: 'string' },
+      message: { type: 'string' }
+    }))
+  }, { required: ['dryRun', 'valid', 'errors'] }),
+
+  // Skills
+  SkillInput: {
+    description: 'A catalogue skill name or alias, or a skill reference with a level',
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      input({
+        skill: ref('ObjectId'),
+        name: { type: 'string', minLength: 1 },
+        level: skillLevel,
+        years: { type: 'number', minimum: 0 }
+      })
+    ]
+  },
+  RequiredSkillInput: {
+    description: 'A catalogue skill name or alias, or a skill reference with a minimum level',
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      input({
+        skill: ref('ObjectId'),
+        name: { type: 'string', minLength: 1 },
+        minLevel: skillLevel
+      })
+    ]
+  },
+  UserSkill: object({
+    skill: ref('ObjectId'),
+    name: { type: 'string' },
+    level: { type: 'integer' },
+    years: { type: 'number' }
+  }),
+  RequiredSkill: object({
+    skill: ref('ObjectId'),
+    name: { type: 'string' },
+    minLevel: { type: 'integer' }
+  }),
+  Skill: object({
+    _id: ref('ObjectId'),
+    name: { type: 'string' },
+    key: { type: 'string' },
+    aliases: arrayOf({ type: 'string' }),
+    category: { type: 'string' },
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id', 'name'] }),
+  SkillCreate: input({
+    name: { type: 'string', minLength: 1 },
+    aliases: arrayOf({ type: 'string', minLength: 1 }),
+    category: { type: 'string', minLength: 1 }
+  }, ['name']),
+  SkillUpdate: input({
+    name: { type: 'string', minLength: 1 },
+    aliases: arrayOf({ type: 'string', minLength: 1 }),
+    category: { type: 'string', minLength: 1 }
+  }),
+
+  // Users
+  UserSummary: object({
+    _id: ref('ObjectId'),
+    name: { type: 'string' },
+    email: { type: 'string' },
+    role: { type: 'string', enum: ROLES }
+  }, { required: ['_id'] }),
+  User: object({
+    _id: ref('ObjectId'),
+    email: { type: 'string', format: 'email' },
+    name: { type: 'string' },
+    role: { type: 'string', enum: ROLES },
+    isActive: { type: 'boolean' },
+    deactivatedAt: ref('DateTime'),
+    skills: arrayOf(ref('UserSkill')),
+    seniority: { type: 'string', enum: SENIORITIES },
+    maxCapacity: { type: 'integer', minimum: 0, maximum: 100 },
+    department: { type: 'string' },
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id'] }),
+  Registration: input({
+    email: { type: 'string', format: 'email' },
+    password: { type: 'string', minLength: 6 },
+    name: { type: 'string', minLength: 1 },
+    role: { type: 'string', enum: ROLES },
+    inviteToken: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' },
+    skills: arrayOf(ref('SkillInput')),
+    seniority: { type: 'string', enum: SENIORITIES },
+    maxCapacity: { type: 'integer', minimum: 0, maximum: 100 },
+    department: { type: 'string', minLength: 1 }
+  }, ['email', 'password', 'name']),
+  UserCreate: input({
+    email: { type: 'string', format: 'email' },
+    password: { type: 'string', minLength: 6 },
+    name: { type: 'string', minLength: 1 },
+    role: { type: 'string', enum: ROLES },
+    skills: arrayOf(ref('SkillInput')),
+    seniority: { type: 'string', enum: SENIORITIES },
+    maxCapacity: { type: 'integer', minimum: 0, maximum: 100 },
+    department: { type: 'string', minLength: 1 }
+  }, ['email', 'password', 'name', 'role']),
+  ProfileUpdate: input({
+    name: { type: 'string', minLength: 1 },
+    skills: arrayOf(ref('SkillInput')),
+    seniority: { type: 'string', enum: SENIORITIES },
+    department: { type: 'string', minLength: 1 }
+  }),
+  RoleChange: input({
+    role: { type: 'string', enum: ROLES },
+    seniority: { type: 'string', enum: SENIORITIES },
+    maxCapacity: { type: 'integer', minimum: 0, maximum: 100 },
+    department: { type: 'string', minLength: 1 }
+  }, ['role']),
+  Invite: object({
+    _id: ref('ObjectId'),
+    email: { type: 'string' },
+    role: { type: 'string', enum: ROLES },
+    expiresAt: ref('DateTime')
+  }, { required: ['_id', 'email', 'role'] }),
+  Tokens: object({
+    token: { type: 'string', description: 'Access token' },
+    refreshToken: { type: 'string' }
+  }, { required: ['token', 'refreshToken'] }),
+  AuthResult: {
+    allOf: [
+      ref('Tokens'),
+      object({ user: ref('User') }, { required: ['user'] })
+    ]
+  },
+  LoginFailure: object({
+    _id: ref('ObjectId'),
+    email: { type: 'string' },
+    userId: ref('ObjectId'),
+    reason: { type: 'string', enum: LoginFailure.REASONS },
+    ip: { type: 'string' },
+    userAgent: { type: 'string' },
+    occurredAt: ref('DateTime')
+  }, { required: ['_id', 'reason'] }),
+
+  // Projects
+  StatusChange: object({
+    from: nullable({ type: 'string' }),
+    status: { type: 'string' },
+    reason: { type: 'string' },
+    comment: { type: 'string' },
+    changedBy: refOr('UserSummary'),
+    changedAt: ref('DateTime')
+  }),
+  PhaseInput: input({
+    _id: ref('ObjectId'),
+    name: { type: 'string', minLength: 1 },
+    startDate: ref('IsoDate'),
+    endDate: ref('IsoDate'),
+    headcount: { type: 'integer', minimum: 0 },
+    requiredSkills: arrayOf(ref('RequiredSkillInput'))
+  }, ['name', 'startDate', 'endDate', 'headcount']),
+  Phase: object({
+    _id: ref('ObjectId'),
+    name: { type: 'string' },
+    startDate: ref('DateTime'),
+    endDate: ref('DateTime'),
+    headcount: { type: 'integer' },
+    requiredSkills: arrayOf(ref('RequiredSkill'))
+  }),
+  ProjectMember: object({
+    userId: refOr('UserSummary'),
+    role: { type: 'string', enum: Project.MEMBER_ROLES },
+    addedBy: ref('ObjectId'),
+    addedAt: ref('DateTime')
+  }, { required: ['userId', 'role'] }),
+  Project: object({
+    _id: ref('ObjectId'),
+    name: { type: 'string' },
+    description: { type: 'string' },
+    startDate: ref('DateTime'),
+    endDate: ref('DateTime'),
+    requiredSkills: arrayOf(ref('RequiredSkill')),
+    teamSize: { type: 'integer' },
+    phases: arrayOf(ref('Phase')),
+    status: { type: 'string', enum: Project.STATUSES },
+    statusHistory: arrayOf(ref('StatusChange')),
+    overdueSince: nullable(ref('DateTime')),
+    managerId: refOr('UserSummary'),
+    members: arrayOf(ref('ProjectMember')),
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id'] }),
+  ProjectDetail: {
+    allOf: [
+      ref('Project'),
+      object({
+        team: arrayOf(object({
+          engineer: nullable({ anyOf: [ref('ObjectId'), ref('User')] }),
+          role: { type: 'string' },
+          allocationPercentage: { type: 'integer' },
+          startDate: ref('DateTime'),
+          endDate: ref('DateTime'),
+          status: { type: 'string', enum: Assignment.STATUSES },
+          phaseId: nullable(ref('ObjectId'))
+        }))
+      }, { required: ['team'] })
+    ]
+  },
+  ProjectCreate: input({
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    startDate: ref('IsoDate'),
+    endDate: ref('IsoDate'),
+    requiredSkills: arrayOf(ref('RequiredSkillInput')),
+    teamSize: { type: 'integer', minimum: 1 },
+    status: { type: 'string', enum: Project.INITIAL_STATUSES },
+    phases: arrayOf(ref('PhaseInput'))
+  }, ['name', 'description', 'startDate', 'endDate', 'requiredSkills', 'teamSize', 'status']),
+  ProjectUpdate: input({
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    startDate: ref('IsoDate'),
+    endDate: ref('IsoDate'),
+    requiredSkills: arrayOf(ref('RequiredSkillInput')),
+    teamSize: { type: 'integer', minimum: 1 },
+    status: { type: 'string', enum: Project.STATUSES },
+    statusReason: { type: 'string', minLength: 1, description: 'Required for some status changes' },
+    phases: arrayOf(ref('PhaseInput'))
+  }),
+  ProjectMemberInput: input({
+    userId: ref('ObjectId'),
+    role: { type: 'string', enum: Project.MEMBER_ROLES }
+  }, ['userId', 'role']),
+
+  // Assignments
+  Assignment: object({
+    _id: ref('ObjectId'),
+    engineerId: nullable(refOr('User')),
+    projectId: nullable(refOr('Project')),
+    phaseId: nullable(ref('ObjectId')),
+    allocationPercentage: { type: 'integer', minimum: 0, maximum: 100 },
+    startDate: ref('DateTime'),
+    endDate: ref('DateTime'),
+    role: { type: 'string' },
+    status: { type: 'string', enum: Assignment.STATUSES },
+    statusHistory: arrayOf(ref('StatusChange')),
+    warnings: arrayOf(object({
+      type: { type: 'string' },
+      message: { type: 'string' },
+      timeOff: { type: 'object' }
+    })),
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id'] }),
+  AssignmentCreate: input({
+    engineerId: ref('ObjectId'),
+    projectId: ref('ObjectId'),
+    phaseId: ref('ObjectId'),
+    allocationPercentage: { type: 'integer', minimum: 0, maximum: 100 },
+    startDate: ref('IsoDate'),
+    endDate: ref('IsoDate'),
+    role: { type: 'string', minLength: 1 }
+  }, ['engineerId', 'projectId', 'allocationPercentage', 'startDate', 'endDate', 'role']),
+  AssignmentUpdate: input({
+    allocationPercentage: { type: 'integer', minimum: 0, maximum: 100 },
+    startDate: ref('IsoDate'),
+    endDate: ref('IsoDate'),
+    role: { type: 'string', minLength: 1 },
+    phaseId: nullable(ref('ObjectId'))
+  }),
+  AssignmentResponse: input({
+    comment: { type: 'string', maxLength: 1000 }
+  }),
+  Availability: object({
+    isAvailable: { type: 'boolean' },
+    maxCapacity: { type: 'number' },
+    requestedAllocation: { type: 'number' },
+    peakAllocation: { type: 'number' },
+    lowestFreePercentage: { type: 'number' },
+    segments: arrayOf({ type: 'object' }),
+    conflicts: arrayOf({ type: 'object' }),
+    timeOff: arrayOf({ type: 'object' })
+  }, { required: ['isAvailable', 'maxCapacity'] }),
+  CapacityConflict: object({
+    message: { type: 'string' },
+    error: { type: 'string', enum: ['INSUFFICIENT_CAPACITY', 'TIME_OFF_OVERLAP'] },
+    details: object({
+      maxCapacity: { type: 'number' },
+      peakAllocation: { type: 'number' },
+      conflicts: arrayOf({ type: 'object' }),
+      timeOff: arrayOf({ type: 'object' })
+    }),
+    requestId: { type: 'string' }
+  }, { required: ['message', 'error'] }),
+
+  // Time off and timesheets
+  TimeOff: object({
+    _id: ref('ObjectId'),
+    engineerId: refOr('UserSummary'),
+    type: { type: 'string', enum: TIME_OFF_TYPES },
+    startDate: ref('DateTime'),
+    endDate: ref('DateTime'),
+    percentage: { type: 'integer' },
+    reason: { type: 'string' },
+    status: { type: 'string', enum: TIME_OFF_STATUSES },
+    reviewedBy: refOr('UserSummary'),
+    reviewedAt: ref('DateTime'),
+    reviewComment: { type: 'string' },
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id'] }),
+  TimeOffCreate: input({
+    engineerId: ref('ObjectId'),
+    type: { type: 'string', enum: TIME_OFF_TYPES },
+    startDate: ref('IsoDate'),
+    endDate: ref('IsoDate'),
+    percentage: { type: 'integer', minimum: 1, maximum: 100 },
+    reason: { type: 'string' }
+  }, ['type', 'startDate', 'endDate']),
+  Review: input({
+    comment: { type: 'string' }
+  }),
+  TimesheetEntry: object({
+    _id: ref('ObjectId'),
+    engineerId: refOr('UserSummary'),
+    assignmentId: refOr('Assignment'),
+    projectId: refOr('Project'),
+    period: { type: 'string', enum: TimesheetEntry.PERIODS },
+    date: ref('DateTime'),
+    hours: { type: 'number' },
+    notes: { type: 'string' },
+    status: { type: 'string', enum: TimesheetEntry.STATUSES },
+    submittedAt: ref('DateTime'),
+    reviewedBy: ref('ObjectId'),
+    reviewedAt: ref('DateTime'),
+    reviewComment: { type: 'string' },
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id'] }),
+  TimesheetEntryCreate: input({
+    assignmentId: ref('ObjectId'),
+    date: ref('IsoDate'),
+    period: { type: 'string', enum: TimesheetEntry.PERIODS },
+    hours: { type: 'number', minimum: 0 },
+    notes: { type: 'string' }
+  }, ['assignmentId', 'date', 'hours']),
+  TimesheetEntryUpdate: input({
+    hours: { type: 'number', minimum: 0 },
+    notes: { type: 'string' }
+  }),
+  TimesheetSubmit: input({
+    startDate: ref('IsoDate'),
+    endDate: ref('IsoDate')
+  }, ['startDate', 'endDate']),
+
+  // Scenarios
+  ScenarioChangeData: input({
+    engineerId: ref('ObjectId'),
+    projectId: ref('ObjectId'),
+    phaseId: ref('ObjectId'),
+    allocationPercentage: { type: 'integer', minimum: 0, maximum: 100 },
+    startDate: ref('IsoDate'),
+    endDate: ref('IsoDate'),
+    role: { type: 'string', minLength: 1 }
+  }),
+  ScenarioChange: object({
+    _id: ref('ObjectId'),
+    operation: { type: 'string', enum: Scenario.CHANGE_OPERATIONS },
+    assignmentId: ref('ObjectId'),
+    data: { type: 'object' },
+    createdAt: ref('DateTime')
+  }, { required: ['_id', 'operation'] }),
+  Scenario: object({
+    _id: ref('ObjectId'),
+    name: { type: 'string' },
+    description: { type: 'string' },
+    ownerId: ref('ObjectId'),
+    status: { type: 'string', enum: Scenario.STATUSES },
+    changes: arrayOf(ref('ScenarioChange')),
+    appliedAt: ref('DateTime'),
+    appliedBy: ref('ObjectId'),
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id', 'name', 'status'] }),
+  ScenarioCreate: input({
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' }
+  }, ['name']),
+  ScenarioUpdate: input({
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' }
+  }),
+  ScenarioChangeCreate: {
+    ...input({
+      operation: { type: 'string', enum: Scenario.CHANGE_OPERATIONS },
+      assignmentId: ref('ObjectId'),
+      data: ref('ScenarioChangeData')
+    }, ['operation']),
+    description: 'assignmentId is required for updates and deletes'
+  },
+
+  // Webhooks and audit
+  Webhook: object({
+    _id: ref('ObjectId'),
+    url: { type: 'string' },
+    description: { type: 'string' },
+    events: arrayOf({ type: 'string' }),
+    secret: { type: 'string', description: 'Only returned on creation and rotation' },
+    isActive: { type: 'boolean' },
+    createdBy: ref('ObjectId'),
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id'] }),
+  WebhookCreate: input({
+    url: { type: 'string', format: 'uri', pattern: '^https?://' },
+    events: arrayOf({ type: 'string', enum: [...EVENT_TYPES, '*'] }, { minItems: 1 }),
+    description: { type: 'string' },
+    secret: { type: 'string', minLength: 16 }
+  }, ['url', 'events']),
+  WebhookUpdate: input({
+    url: { type: 'string', format: 'uri', pattern: '^https?://' },
+    events: arrayOf({ type: 'string', enum: [...EVENT_TYPES, '*'] }, { minItems: 1 }),
+    description: { type: 'string' },
+    isActive: { type: 'boolean' }
+  }),
+  WebhookDelivery: object({
+    _id: ref('ObjectId'),
+    webhookId: refOr('Webhook'),
+    event: { type: 'string' },
+    payload: {},
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    attempts: arrayOf(object({
+      attemptedAt: ref('DateTime'),
+      responseStatus: { type: 'integer' },
+      error: { type: 'string' },
+      durationMs: { type: 'number' }
+    })),
+    nextAttemptAt: ref('DateTime'),
+    lockedAt: ref('DateTime'),
+    deliveredAt: ref('DateTime'),
+    createdAt: ref('DateTime'),
+    updatedAt: ref('DateTime')
+  }, { required: ['_id', 'event', 'status'] }),
+  AuditLogEntry: object({
+    _id: ref('ObjectId'),
+    actorId: nullable(refOr('UserSummary')),
+    actorRole: { type: 'string' },
+    action: { type: 'string', enum: ['create', 'update', 'delete'] },
+    entityType: { type: 'string', enum: ['Project', 'Assignment'] },
+    entityId: ref('ObjectId'),
+    projectIds: arrayOf(ref('ObjectId')),
+    changes: { type: 'object', description: 'Field name to { before, after }' },
+    timestamp: ref('DateTime')
+  }, { required: ['_id', 'action', 'entityType', 'entityId'] })
+};
+
+const parameters = {
+  page: queryParam('page', { type: 'integer', minimum: 1 }, { description: 'Page number (offset pagination)' }),
+  limit: queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }),
+  cursor: queryParam('cursor', { type: 'string' }, { description: 'nextCursor from the previous page (keyset pagination)' }),
+  sort: queryParam('sort', { type: 'string' }, { description: 'Comma-separated fields, prefixed with - for descending' }),
+  fields: queryParam('fields', { type: 'string' }, { description: 'Comma-separated fields to return' })
+};
+
+const responses = {
+  Error: json('Error', ref('Error')),
+  Message: json('Confirmation', ref('Message')),
+  BadRequest: json('Invalid request', ref('Error')),
+  NotFound: json('Not found', ref('Error')),
+  Unauthorized: json('Missing or invalid access token', ref('Error')),
+  Forbidden: json('Not allowed for this user', ref('Error')),
+  TooManyRequests: {
+    description: 'Rate limit exceeded',
+    headers: {
+      'Retry-After': { description: 'Seconds until the limit resets', schema: { type: 'integer' } }
+    },
+    content: { 'application/json': { schema: ref('Error') } }
+  }
+};
+
+const securitySchemes = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT'
+  }
+};
+
+module.exports = {
+  components: { schemas, parameters, responses, securitySchemes },
+  ref,
+  arrayOf,
+  object,
+  nullable,
+  listOf,
+  jsonBody,
+  csvBody,
+  json,
+  file,
+  message,
+  queryParam,
+  pathParam,
+  idParam,
+  listQueryParams
+};
@@ -0,0 +1,65 @@
+const { version, description } = require('../../package.json');
+const { components } = require('./components');
+
+// One file per router, in the order they are mounted
+const paths = {
+  ...require('./paths/auth.paths'),
+  ...require('./paths/engineer.paths'),
+  ...require('./paths/project.paths'),
+  ...require('./paths/assignment.paths'),
+  ...require('./paths/analytics.paths'),
+  ...require('./paths/user.paths'),
+  ...require('./paths/audit.paths'),
+  ...require('./paths/timeOff.paths'),
+  ...require('./paths/skill.paths'),
+  ...require('./paths/webhook.paths'),
+  ...require('./paths/stream.paths'),
+  ...require('./paths/scenario.paths'),
+  ...require('./paths/report.paths'),
+  ...require('./paths/timesheet.paths'),
+  ...require('./paths/docs.paths')
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Every operation can fail with the standard error body
+Object.values(paths).forEach(pathItem => {
+  METHODS.filter(method => pathItem[method]).forEach(method => {
+    pathItem[method].responses.default = { $ref: '#/components/responses/Error' };
+  });
+});
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Engineering Resource Management API',
+    description,
+    version
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: 'Auth', description: 'Registration, sign-in, sessions and passwords' },
+    { name: 'Engineers', description: 'Engineer profiles, capacity and availability' },
+    { name: 'Projects', description: 'Projects, phases, sharing and staffing' },
+    { name: 'Assignments', description: 'Engineers staffed on projects' },
+    { name: 'Analytics', description: 'Utilization by engineer, department and seniority' },
+    { name: 'Users', description: 'User administration' },
+    { name: 'Audit', description: 'Change history of projects and assignments' },
+    { name: 'Time off', description: 'Leave requests and approvals' },
+    { name: 'Skills', description: 'The skill catalogue' },
+    { name: 'Webhooks', description: 'Outgoing event notifications' },
+    { name: 'Events', description: 'Live event stream' },
+    { name: 'Scenarios', description: 'What-if staffing plans' },
+    { name: 'Reports', description: 'Conflicts, staffing gaps and timesheet variance' },
+    { name: 'Timesheets', description: 'Logged hours and approvals' },
+    { name: 'Docs', description: 'This document' }
+  ],
+  paths,
+  components
+};
+
+module.exports = {
+  METHODS,
+  document
+};
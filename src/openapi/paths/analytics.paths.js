@@ -0,0 +1,39 @@
+const { INTERVALS } = require('../../services/utilization.service');
+const { ref, arrayOf, object, json, queryParam } = require('../components');
+
+module.exports = {
+  '/api/analytics/utilization': {
+    get: {
+      tags: ['Analytics'],
+      summary: 'Allocated versus available capacity per engineer, department and seniority',
+      description: 'Managers and admins only.',
+      parameters: [
+        queryParam('startDate', ref('IsoDate'), { required: true }),
+        queryParam('endDate', ref('IsoDate'), { required: true }),
+        queryParam('interval', { type: 'string', enum: INTERVALS, default: 'month' }),
+        queryParam('department', { type: 'string', minLength: 1 }),
+        queryParam('seniority', { type: 'string', enum: ['junior', 'mid', 'senior'] }),
+        queryParam('scenarioId', ref('ObjectId'), { description: 'Evaluate against one of the caller\'s draft scenarios' })
+      ],
+      responses: {
+        200: json('Utilization report', object({
+          startDate: ref('DateTime'),
+          endDate: ref('DateTime'),
+          interval: { type: 'string', enum: INTERVALS },
+          buckets: arrayOf(object({
+            key: { type: 'string' },
+            startDate: ref('DateTime'),
+            endDate: ref('DateTime'),
+            days: { type: 'integer' }
+          })),
+          engineers: arrayOf({ type: 'object' }),
+          departments: arrayOf({ type: 'object' }),
+          seniority: arrayOf({ type: 'object' }),
+          totals: { type: 'object' }
+        }, { required: ['startDate', 'endDate', 'interval', 'buckets', 'engineers'] })),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  }
+};
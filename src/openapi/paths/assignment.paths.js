@@ -0,0 +1,156 @@
+const {
+  ref,
+  arrayOf,
+  jsonBody,
+  csvBody,
+  json,
+  file,
+  message,
+  queryParam,
+  idParam,
+  listOf,
+  listQueryParams
+} = require('../components');
+
+const tags = ['Assignments'];
+
+const assignmentId = idParam('Assignment ID');
+
+const assignmentFilters = [
+  queryParam('projectId', ref('ObjectId')),
+  queryParam('engineerId', ref('ObjectId')),
+  queryParam('startDate', ref('IsoDate'), { description: 'With endDate, only assignments overlapping the range' }),
+  queryParam('endDate', ref('IsoDate'))
+];
+
+const capacityConflict = json('Not enough capacity, or overlaps approved time off', ref('CapacityConflict'));
+
+const respond = (summary, description) => ({
+  tags,
+  summary,
+  description,
+  parameters: [assignmentId],
+  requestBody: jsonBody(ref('AssignmentResponse'), false),
+  responses: {
+    200: json('Updated assignment', ref('Assignment')),
+    400: capacityConflict,
+    403: { $ref: '#/components/responses/Forbidden' },
+    404: { $ref: '#/components/responses/NotFound' }
+  }
+});
+
+module.exports = {
+  '/api/assignments': {
+    get: {
+      tags,
+      summary: 'List assignments on projects the caller can read',
+      parameters: [...assignmentFilters, ...listQueryParams],
+      responses: {
+        200: json('Assignments', listOf('Assignment')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    },
+    post: {
+      tags,
+      summary: 'Propose an assignment',
+      description: 'Managers with manage access to the project. Overlapping approved leave is returned as warnings.',
+      requestBody: jsonBody(ref('AssignmentCreate')),
+      responses: {
+        201: json('Proposed assignment', ref('Assignment')),
+        400: capacityConflict,
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/assignments/import': {
+    post: {
+      tags,
+      summary: 'Import assignments from CSV',
+      description: 'Managers only. Nothing is created unless every row is valid.',
+      parameters: [
+        queryParam('dryRun', { type: 'string', enum: ['true', 'false'] }, { description: 'Validate without creating' })
+      ],
+      requestBody: csvBody('CSV with engineerEmail or engineerId, projectId or projectName, allocationPercentage, startDate, endDate and role columns'),
+      responses: {
+        200: json('Dry run result', ref('ImportResult')),
+        201: json('Assignments created', ref('ImportResult')),
+        400: json('Invalid CSV or rows', ref('ImportResult'))
+      }
+    }
+  },
+  '/api/assignments/export': {
+    get: {
+      tags,
+      summary: 'Export readable assignments as CSV',
+      parameters: assignmentFilters,
+      responses: {
+        200: file('Assignments', 'text/csv'),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/assignments/proposals': {
+    get: {
+      tags,
+      summary: 'List open proposals',
+      description: 'Engineers see proposals made to them; managers see proposals on projects they manage.',
+      responses: {
+        200: json('Proposed assignments', arrayOf(ref('Assignment')))
+      }
+    }
+  },
+  '/api/assignments/{id}': {
+    get: {
+      tags,
+      summary: 'Get an assignment',
+      parameters: [assignmentId],
+      responses: {
+        200: json('Assignment', ref('Assignment')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    patch: {
+      tags,
+      summary: 'Update an assignment',
+      description: 'Managers with manage access to the project.',
+      parameters: [assignmentId],
+      requestBody: jsonBody(ref('AssignmentUpdate')),
+      responses: {
+        200: json('Updated assignment', ref('Assignment')),
+        400: capacityConflict,
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Delete an assignment',
+      description: 'Managers with manage access to the project.',
+      parameters: [assignmentId],
+      responses: {
+        200: message('Assignment deleted'),
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/assignments/{id}/history': {
+    get: {
+      tags,
+      summary: 'Get an assignment\'s change history',
+      description: 'Managers and admins only.',
+      parameters: [assignmentId],
+      responses: {
+        200: json('Audit log entries, newest first', arrayOf(ref('AuditLogEntry'))),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/assignments/{id}/accept': {
+    patch: respond('Accept a proposed assignment', 'The assigned engineer only.')
+  },
+  '/api/assignments/{id}/decline': {
+    patch: respond('Decline a proposed assignment', 'The assigned engineer only.')
+  }
+};
@@ -0,0 +1,25 @@
+const { ref, arrayOf, json, queryParam } = require('../components');
+
+module.exports = {
+  '/api/audit': {
+    get: {
+      tags: ['Audit'],
+      summary: 'Search the audit log',
+      description: 'Managers and admins. Managers only see entries for projects they can read, including ' +
+        'deleted projects they owned or shared, and for assignments on those projects.',
+      parameters: [
+        queryParam('entityType', { type: 'string', enum: ['Project', 'Assignment'] }),
+        queryParam('entityId', ref('ObjectId')),
+        queryParam('actorId', ref('ObjectId')),
+        queryParam('action', { type: 'string', enum: ['create', 'update', 'delete'] }),
+        queryParam('from', ref('IsoDate')),
+        queryParam('to', ref('IsoDate')),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 })
+      ],
+      responses: {
+        200: json('Audit log entries, newest first', arrayOf(ref('AuditLogEntry'))),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  }
+};
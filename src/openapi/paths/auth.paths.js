@@ -0,0 +1,145 @@
+const { ref, object, jsonBody, json, message } = require('../components');
+
+const tags = ['Auth'];
+
+// A locked account answers like a wrong password, plus Retry-After
+const invalidCredentials = {
+  ...json('Invalid credentials, or too many failed attempts from this client', ref('Error')),
+  headers: {
+    'Retry-After': { description: 'Seconds until the lock expires, when locked', schema: { type: 'integer' } }
+  }
+};
+
+module.exports = {
+  '/api/auth/register': {
+    post: {
+      tags,
+      summary: 'Register a user',
+      description: 'Open registration can be disabled or restricted to invites through the environment.',
+      security: [],
+      requestBody: jsonBody(ref('Registration')),
+      responses: {
+        201: json('Registered and signed in', ref('AuthResult')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        403: { $ref: '#/components/responses/Forbidden' },
+        429: { $ref: '#/components/responses/TooManyRequests' }
+      }
+    }
+  },
+  '/api/auth/login': {
+    post: {
+      tags,
+      summary: 'Sign in',
+      security: [],
+      requestBody: jsonBody(object({
+        email: { type: 'string', format: 'email' },
+        password: { type: 'string', minLength: 1 }
+      }, { required: ['email', 'password'], additionalProperties: false })),
+      responses: {
+        200: json('Signed in', ref('AuthResult')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        401: invalidCredentials,
+        403: json('Account is deactivated', ref('Error')),
+        429: { $ref: '#/components/responses/TooManyRequests' }
+      }
+    }
+  },
+  '/api/auth/refresh': {
+    post: {
+      tags,
+      summary: 'Exchange a refresh token for a new token pair',
+      security: [],
+      requestBody: jsonBody(object({
+        refreshToken: { type: 'string' }
+      }, { required: ['refreshToken'], additionalProperties: false })),
+      responses: {
+        200: json('New token pair', ref('Tokens')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        401: json('Refresh token is invalid, expired or revoked', ref('Error'))
+      }
+    }
+  },
+  '/api/auth/logout': {
+    post: {
+      tags,
+      summary: 'Revoke the current session',
+      responses: {
+        200: message('Logged out')
+      }
+    }
+  },
+  '/api/auth/logout-all': {
+    post: {
+      tags,
+      summary: 'Revoke every session of the current user',
+      responses: {
+        200: message('Logged out of all sessions')
+      }
+    }
+  },
+  '/api/auth/password/change': {
+    post: {
+      tags,
+      summary: 'Change the current user\'s password',
+      description: 'Revokes every session and returns a fresh token pair.',
+      requestBody: jsonBody(object({
+        currentPassword: { type: 'string', minLength: 1 },
+        newPassword: { type: 'string', minLength: 6 }
+      }, { required: ['currentPassword', 'newPassword'], additionalProperties: false })),
+      responses: {
+        200: json('Password changed', {
+          allOf: [ref('Tokens'), ref('Message')]
+        }),
+        400: { $ref: '#/components/responses/BadRequest' },
+        401: invalidCredentials
+      }
+    }
+  },
+  '/api/auth/password/forgot': {
+    post: {
+      tags,
+      summary: 'Request a password reset link',
+      security: [],
+      requestBody: jsonBody(object({
+        email: { type: 'string', format: 'email' }
+      }, { required: ['email'], additionalProperties: false })),
+      responses: {
+        200: message('Reset link sent if the account exists'),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/auth/password/reset': {
+    post: {
+      tags,
+      summary: 'Reset a password with a reset token',
+      security: [],
+      requestBody: jsonBody(object({
+        token: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' },
+        password: { type: 'string', minLength: 6 }
+      }, { required: ['token', 'password'], additionalProperties: false })),
+      responses: {
+        200: message('Password reset'),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/auth/profile': {
+    get: {
+      tags,
+      summary: 'Get the current user',
+      responses: {
+        200: json('Current user', ref('User'))
+      }
+    },
+    patch: {
+      tags,
+      summary: 'Update the current user\'s profile',
+      requestBody: jsonBody(ref('ProfileUpdate')),
+      responses: {
+        200: json('Updated user', ref('User')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  }
+};
@@ -0,0 +1,15 @@
+const { json } = require('../components');
+
+module.exports = {
+  '/api/docs/openapi.json': {
+    get: {
+      tags: ['Docs'],
+      summary: 'Get this OpenAPI document',
+      description: 'The interactive documentation is served at /api/docs.',
+      security: [],
+      responses: {
+        200: json('OpenAPI 3 document', { type: 'object', required: ['openapi', 'paths'] })
+      }
+    }
+  }
+};
@@ -0,0 +1,189 @@
+const User = require('../../models/user.model');
+const Assignment = require('../../models/assignment.model');
+const {
+  ref,
+  arrayOf,
+  object,
+  json,
+  file,
+  message,
+  queryParam,
+  idParam,
+  listOf,
+  listQueryParams
+} = require('../components');
+
+const tags = ['Engineers'];
+
+const skillParams = [
+  queryParam('skills', arrayOf({ type: 'string' }), { description: 'Skill names or aliases, comma-separated or repeated' }),
+  queryParam('minLevel', { type: 'integer', minimum: 1, maximum: 5 })
+];
+
+const scenarioParam = queryParam('scenarioId', ref('ObjectId'), {
+  description: 'Evaluate against one of the caller\'s draft scenarios'
+});
+
+const engineerFilters = [
+  queryParam('search', { type: 'string' }, { description: 'Matches name or email' }),
+  ...skillParams,
+  queryParam('seniority', { type: 'string', enum: User.schema.path('seniority').enumValues }),
+  queryParam('availability', { type: 'integer', minimum: 0, maximum: 100 }, {
+    description: 'Minimum free capacity percentage this month, after assignments and approved time off'
+  })
+];
+
+const calendarFeed = object({
+  url: { type: 'string', format: 'uri' }
+}, { required: ['url'] });
+
+module.exports = {
+  '/api/engineers': {
+    get: {
+      tags,
+      summary: 'List engineers',
+      description: 'Managers only.',
+      parameters: [...engineerFilters, ...listQueryParams],
+      responses: {
+        200: json('Engineers', listOf('User')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/engineers/export': {
+    get: {
+      tags,
+      summary: 'Export engineers as CSV',
+      description: 'Managers and admins only.',
+      parameters: engineerFilters,
+      responses: {
+        200: file('Engineers', 'text/csv'),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/engineers/search/skills': {
+    get: {
+      tags,
+      summary: 'Search engineers by skills',
+      description: 'Engineers only find themselves.',
+      parameters: [
+        { ...skillParams[0], required: true },
+        skillParams[1],
+        ...listQueryParams
+      ],
+      responses: {
+        200: json('Matching engineers', listOf('User')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/engineers/{id}': {
+    get: {
+      tags,
+      summary: 'Get an engineer',
+      description: 'Engineers can only get themselves.',
+      parameters: [idParam('Engineer ID')],
+      responses: {
+        200: json('Engineer', ref('User')),
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/engineers/{id}/capacity': {
+    get: {
+      tags,
+      summary: 'Get an engineer\'s capacity for the current month',
+      parameters: [idParam('Engineer ID'), scenarioParam],
+      responses: {
+        200: json('Capacity', object({
+          maxCapacity: { type: 'number' },
+          currentAllocations: arrayOf(object({
+            project: { type: 'string' },
+            percentage: { type: 'number' },
+            startDate: ref('DateTime'),
+            endDate: ref('DateTime'),
+            role: { type: 'string' },
+            status: { type: 'string', enum: Assignment.STATUSES }
+          })),
+          timeOff: arrayOf({ type: 'object' }),
+          totalAllocated: { type: 'number' },
+          availableCapacity: { type: 'number' }
+        }, { required: ['maxCapacity', 'currentAllocations', 'totalAllocated', 'availableCapacity'] })),
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/engineers/{id}/availability': {
+    get: {
+      tags,
+      summary: 'Check an engineer\'s availability for a period',
+      parameters: [
+        idParam('Engineer ID'),
+        queryParam('startDate', ref('IsoDate'), { required: true }),
+        queryParam('endDate', ref('IsoDate'), { required: true }),
+        queryParam('allocationPercentage', { type: 'integer', minimum: 0, maximum: 100 }),
+        scenarioParam
+      ],
+      responses: {
+        200: json('Availability', ref('Availability')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/engineers/{id}/assignments': {
+    get: {
+      tags,
+      summary: 'List an engineer\'s assignments',
+      description: 'Only assignments on projects the caller can read.',
+      parameters: [idParam('Engineer ID')],
+      responses: {
+        200: json('Assignments', arrayOf(ref('Assignment'))),
+        403: { $ref: '#/components/responses/Forbidden' }
+      }
+    }
+  },
+  '/api/engineers/{id}/calendar-feed': {
+    post: {
+      tags,
+      summary: 'Create or rotate the engineer\'s calendar feed',
+      description: 'The engineer or an admin only.',
+      parameters: [idParam('Engineer ID')],
+      responses: {
+        201: json('Feed URL', calendarFeed),
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Revoke the engineer\'s calendar feed',
+      description: 'The engineer or an admin only.',
+      parameters: [idParam('Engineer ID')],
+      responses: {
+        200: message('Feed revoked'),
+        403: { $ref: '#/components/responses/Forbidden' }
+      }
+    }
+  },
+  '/api/engineers/{id}/assignments.ics': {
+    get: {
+      tags,
+      summary: 'Get the engineer\'s assignments as an iCalendar feed',
+      description: 'Authenticated by the feed token instead of a bearer token.',
+      security: [],
+      parameters: [
+        idParam('Engineer ID'),
+        queryParam('token', { type: 'string' }, { required: true })
+      ],
+      responses: {
+        200: file('Calendar', 'text/calendar'),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  }
+};
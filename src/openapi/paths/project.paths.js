@@ -0,0 +1,278 @@
+const Project = require('../../models/project.model');
+const {
+  ref,
+  arrayOf,
+  object,
+  jsonBody,
+  csvBody,
+  json,
+  file,
+  message,
+  queryParam,
+  pathParam,
+  idParam,
+  listOf,
+  listQueryParams
+} = require('../components');
+
+const tags = ['Projects'];
+
+const projectId = idParam('Project ID');
+
+const skillParams = [
+  queryParam('skills', arrayOf({ type: 'string' }), { description: 'Skill names or aliases, comma-separated or repeated' }),
+  queryParam('minLevel', { type: 'integer', minimum: 1, maximum: 5 })
+];
+
+const projectFilters = [
+  queryParam('status', { type: 'string', enum: Project.STATUSES }),
+  queryParam('search', { type: 'string' }, { description: 'Matches name or description' }),
+  ...skillParams,
+  queryParam('overdue', { type: 'string', enum: ['true', 'false'] }, { description: 'Whether the project is flagged as overdue' })
+];
+
+// Responses shared by routes guarded by the project access policy
+const guarded = {
+  403: { $ref: '#/components/responses/Forbidden' },
+  404: { $ref: '#/components/responses/NotFound' }
+};
+
+const summary = object({
+  _id: ref('ObjectId'),
+  name: { type: 'string' },
+  startDate: ref('DateTime'),
+  endDate: ref('DateTime')
+}, { required: ['_id'] });
+
+module.exports = {
+  '/api/projects': {
+    get: {
+      tags,
+      summary: 'List projects the caller can read',
+      parameters: [...projectFilters, ...listQueryParams],
+      responses: {
+        200: json('Projects', listOf('Project')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    },
+    post: {
+      tags,
+      summary: 'Create a project',
+      description: 'Managers only. The caller becomes the project owner.',
+      requestBody: jsonBody(ref('ProjectCreate')),
+      responses: {
+        201: json('Created project', ref('Project')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/projects/import': {
+    post: {
+      tags,
+      summary: 'Import projects from CSV',
+      description: 'Managers only. Nothing is created unless every row is valid.',
+      parameters: [
+        queryParam('dryRun', { type: 'string', enum: ['true', 'false'] }, { description: 'Validate without creating' })
+      ],
+      requestBody: csvBody('CSV with name, description, startDate, endDate, requiredSkills, teamSize and status columns'),
+      responses: {
+        200: json('Dry run result', ref('ImportResult')),
+        201: json('Projects created', ref('ImportResult')),
+        400: json('Invalid CSV or rows', ref('ImportResult'))
+      }
+    }
+  },
+  '/api/projects/export': {
+    get: {
+      tags,
+      summary: 'Export projects the caller can read as CSV',
+      parameters: projectFilters,
+      responses: {
+        200: file('Projects', 'text/csv'),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/projects/search/skills': {
+    get: {
+      tags,
+      summary: 'Search readable projects by required skills',
+      parameters: [
+        { ...skillParams[0], required: true },
+        skillParams[1],
+        ...listQueryParams
+      ],
+      responses: {
+        200: json('Matching projects', listOf('Project')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/projects/{id}': {
+    get: {
+      tags,
+      summary: 'Get a project with its team',
+      parameters: [projectId],
+      responses: {
+        200: json('Project', ref('ProjectDetail')),
+        ...guarded
+      }
+    },
+    patch: {
+      tags,
+      summary: 'Update a project',
+      description: 'Managers with manage access. Completing or cancelling a project releases its open assignments.',
+      parameters: [projectId],
+      requestBody: jsonBody(ref('ProjectUpdate')),
+      responses: {
+        200: json('Updated project', {
+          allOf: [
+            ref('Project'),
+            object({
+              releasedAssignments: object({
+                ended: arrayOf(ref('ObjectId')),
+                declined: arrayOf(ref('ObjectId'))
+              }, { required: ['ended', 'declined'] })
+            })
+          ]
+        }),
+        400: { $ref: '#/components/responses/BadRequest' },
+        ...guarded
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Delete a project and its assignments',
+      description: 'Project owner only.',
+      parameters: [projectId],
+      responses: {
+        200: message('Project deleted'),
+        400: { $ref: '#/components/responses/BadRequest' },
+        ...guarded
+      }
+    }
+  },
+  '/api/projects/{id}/candidates': {
+    get: {
+      tags,
+      summary: 'Rank engineers as candidates for a project',
+      description: 'Managers with manage access.',
+      parameters: [
+        projectId,
+        queryParam('limit', { type: 'integer', minimum: 1 })
+      ],
+      responses: {
+        200: json('Ranked candidates', object({
+          project: summary,
+          candidates: arrayOf({ type: 'object' })
+        }, { required: ['project', 'candidates'] })),
+        400: { $ref: '#/components/responses/BadRequest' },
+        ...guarded
+      }
+    }
+  },
+  '/api/projects/{id}/plan': {
+    get: {
+      tags,
+      summary: 'Compare planned and staffed headcount and skills per phase',
+      parameters: [projectId],
+      responses: {
+        200: json('Staffing plan', object({
+          project: summary,
+          phases: arrayOf({ type: 'object' })
+        }, { required: ['project', 'phases'] })),
+        ...guarded
+      }
+    }
+  },
+  '/api/projects/{id}/history': {
+    get: {
+      tags,
+      summary: 'Get a project\'s change history',
+      description: 'Managers and admins only.',
+      parameters: [projectId],
+      responses: {
+        200: json('Audit log entries, newest first', arrayOf(ref('AuditLogEntry'))),
+        ...guarded
+      }
+    }
+  },
+  '/api/projects/{id}/members': {
+    get: {
+      tags,
+      summary: 'List a project\'s owner and members',
+      parameters: [projectId],
+      responses: {
+        200: json('Owner and members', object({
+          owner: { anyOf: [ref('ObjectId'), ref('UserSummary')] },
+          members: arrayOf(ref('ProjectMember'))
+        }, { required: ['members'] })),
+        ...guarded
+      }
+    },
+    post: {
+      tags,
+      summary: 'Share a project with a user',
+      description: 'Only the owner or an admin can add co-managers, who must be managers.',
+      parameters: [projectId],
+      requestBody: jsonBody(ref('ProjectMemberInput')),
+      responses: {
+        200: json('Existing member updated', arrayOf(ref('ProjectMember'))),
+        201: json('Member added', arrayOf(ref('ProjectMember'))),
+        400: { $ref: '#/components/responses/BadRequest' },
+        ...guarded
+      }
+    }
+  },
+  '/api/projects/{id}/members/{userId}': {
+    delete: {
+      tags,
+      summary: 'Remove a member from a project',
+      parameters: [projectId, pathParam('userId', 'Member user ID')],
+      responses: {
+        200: message('Member removed'),
+        ...guarded
+      }
+    }
+  },
+  '/api/projects/{id}/calendar-feed': {
+    post: {
+      tags,
+      summary: 'Create or rotate the project team calendar feed',
+      description: 'Managers with manage access.',
+      parameters: [projectId],
+      responses: {
+        201: json('Feed URL', object({
+          url: { type: 'string', format: 'uri' }
+        }, { required: ['url'] })),
+        ...guarded
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Revoke the project team calendar feed',
+      description: 'Managers with manage access.',
+      parameters: [projectId],
+      responses: {
+        200: message('Feed revoked'),
+        ...guarded
+      }
+    }
+  },
+  '/api/projects/{id}/team.ics': {
+    get: {
+      tags,
+      summary: 'Get the project team\'s assignments as an iCalendar feed',
+      description: 'Authenticated by the feed token instead of a bearer token.',
+      security: [],
+      parameters: [
+        projectId,
+        queryParam('token', { type: 'string' }, { required: true })
+      ],
+      responses: {
+        200: file('Calendar', 'text/calendar'),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  }
+};
@@ -0,0 +1,103 @@
+const { CONFLICT_TYPES } = require('../../services/conflict.service');
+const { URGENCY_LEVELS, SORT_FIELDS, STAFFING_STATUSES } = require('../../services/staffingGap.service');
+const { INTERVALS } = require('../../services/utilization.service');
+const { DEFAULT_THRESHOLD } = require('../../services/timesheet.service');
+const { ref, arrayOf, object, json, queryParam } = require('../components');
+
+const tags = ['Reports'];
+
+module.exports = {
+  '/api/reports/conflicts': {
+    get: {
+      tags,
+      summary: 'Find over-allocations and assignments that no longer fit their project',
+      description: 'Managers and admins only. Managers only see projects they can read; other ' +
+        'assignments in an over-allocation are listed with only their allocation and dates.',
+      parameters: [
+        queryParam('type', { type: 'string', enum: CONFLICT_TYPES }),
+        queryParam('engineerId', ref('ObjectId')),
+        queryParam('projectId', ref('ObjectId'))
+      ],
+      responses: {
+        200: json('Conflict report', object({
+          generatedAt: ref('DateTime'),
+          total: { type: 'integer' },
+          counts: {
+            type: 'object',
+            additionalProperties: { type: 'integer' }
+          },
+          findings: arrayOf(object({
+            type: { type: 'string', enum: CONFLICT_TYPES }
+          }, { required: ['type'] }))
+        }, { required: ['total', 'counts', 'findings'] })),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/reports/staffing-gaps': {
+    get: {
+      tags,
+      summary: 'Projects short of their planned headcount or skills',
+      description: 'Managers and admins only. Managers only see projects they can read.',
+      parameters: [
+        queryParam('status', { type: 'string', enum: STAFFING_STATUSES }),
+        queryParam('urgency', { type: 'string', enum: URGENCY_LEVELS, default: 'none' }, {
+          description: 'Only gaps at least this urgent'
+        }),
+        queryParam('sort', { type: 'string', enum: SORT_FIELDS, default: 'urgency' })
+      ],
+      responses: {
+        200: json('Staffing gap report', object({
+          generatedAt: ref('DateTime'),
+          asOf: ref('DateTime'),
+          total: { type: 'integer' },
+          projects: arrayOf(object({
+            project: object({
+              _id: ref('ObjectId'),
+              name: { type: 'string' }
+            }, { required: ['_id'] })
+          }, { required: ['project'] }))
+        }, { required: ['total', 'projects'] })),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/reports/variance': {
+    get: {
+      tags,
+      summary: 'Planned versus logged hours per engineer and project',
+      description: 'Managers and admins only.',
+      parameters: [
+        queryParam('startDate', ref('IsoDate'), { required: true }),
+        queryParam('endDate', ref('IsoDate'), { required: true }),
+        queryParam('interval', { type: 'string', enum: INTERVALS, default: 'month' }),
+        queryParam('engineerId', ref('ObjectId')),
+        queryParam('projectId', ref('ObjectId')),
+        queryParam('includeSubmitted', { type: 'boolean', default: false }, {
+          description: 'Count submitted as well as approved hours'
+        }),
+        queryParam('threshold', { type: 'integer', minimum: 1, maximum: 1000, default: DEFAULT_THRESHOLD }, {
+          description: 'Variance percentage beyond which a bucket counts as over or under plan'
+        })
+      ],
+      responses: {
+        200: json('Variance report', object({
+          startDate: ref('DateTime'),
+          endDate: ref('DateTime'),
+          interval: { type: 'string', enum: INTERVALS },
+          hoursPerDay: { type: 'number' },
+          threshold: { type: 'integer' },
+          buckets: arrayOf(object({
+            key: { type: 'string' },
+            startDate: ref('DateTime'),
+            endDate: ref('DateTime'),
+            workingDays: { type: 'integer' }
+          })),
+          engineers: arrayOf({ type: 'object' }),
+          projects: arrayOf({ type: 'object' })
+        }, { required: ['startDate', 'endDate', 'interval', 'buckets', 'engineers', 'projects'] })),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  }
+};
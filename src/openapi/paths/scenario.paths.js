@@ -0,0 +1,129 @@
+const Scenario = require('../../models/scenario.model');
+const { ref, arrayOf, object, jsonBody, json, message, queryParam, pathParam, idParam } = require('../components');
+
+const tags = ['Scenarios'];
+
+const scenarioId = idParam('Scenario ID');
+
+const draftNotFound = { $ref: '#/components/responses/NotFound' };
+
+module.exports = {
+  '/api/scenarios': {
+    get: {
+      tags,
+      summary: 'List the caller\'s scenarios',
+      description: 'Managers only. Most recently updated first.',
+      parameters: [
+        queryParam('status', { type: 'string', enum: Scenario.STATUSES })
+      ],
+      responses: {
+        200: json('Scenarios', arrayOf(ref('Scenario')))
+      }
+    },
+    post: {
+      tags,
+      summary: 'Start a draft scenario',
+      description: 'Managers only.',
+      requestBody: jsonBody(ref('ScenarioCreate')),
+      responses: {
+        201: json('Draft scenario', ref('Scenario')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/scenarios/{id}': {
+    get: {
+      tags,
+      summary: 'Get one of the caller\'s scenarios',
+      parameters: [scenarioId],
+      responses: {
+        200: json('Scenario', ref('Scenario')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    patch: {
+      tags,
+      summary: 'Rename or describe a draft scenario',
+      parameters: [scenarioId],
+      requestBody: jsonBody(ref('ScenarioUpdate')),
+      responses: {
+        200: json('Updated scenario', ref('Scenario')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: draftNotFound
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Discard a draft scenario',
+      parameters: [scenarioId],
+      responses: {
+        200: message('Scenario discarded'),
+        404: draftNotFound
+      }
+    }
+  },
+  '/api/scenarios/{id}/changes': {
+    post: {
+      tags,
+      summary: 'Add a proposed change to a draft scenario',
+      parameters: [scenarioId],
+      requestBody: jsonBody(ref('ScenarioChangeCreate')),
+      responses: {
+        201: json('Updated scenario', ref('Scenario')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: draftNotFound
+      }
+    }
+  },
+  '/api/scenarios/{id}/changes/{changeId}': {
+    delete: {
+      tags,
+      summary: 'Remove a change from a draft scenario',
+      parameters: [scenarioId, pathParam('changeId', 'Change ID')],
+      responses: {
+        200: json('Updated scenario', ref('Scenario')),
+        404: draftNotFound
+      }
+    }
+  },
+  '/api/scenarios/{id}/diff': {
+    get: {
+      tags,
+      summary: 'Compare a draft scenario with live data',
+      parameters: [scenarioId],
+      responses: {
+        200: json('Scenario diff', object({
+          scenario: object({
+            _id: ref('ObjectId'),
+            name: { type: 'string' },
+            status: { type: 'string', enum: Scenario.STATUSES }
+          }, { required: ['_id'] }),
+          changes: arrayOf({ type: 'object' }),
+          engineers: arrayOf({ type: 'object' })
+        }, { required: ['scenario', 'changes', 'engineers'] })),
+        404: draftNotFound
+      }
+    }
+  },
+  '/api/scenarios/{id}/apply': {
+    post: {
+      tags,
+      summary: 'Apply a draft scenario to live data',
+      description: 'Every change is re-checked against live data and applied in one transaction.',
+      parameters: [scenarioId],
+      responses: {
+        200: json('Applied scenario', object({
+          scenario: ref('Scenario'),
+          applied: object({
+            created: { type: 'integer' },
+            updated: { type: 'integer' },
+            deleted: { type: 'integer' }
+          }, { required: ['created', 'updated', 'deleted'] })
+        }, { required: ['scenario', 'applied'] })),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: draftNotFound,
+        409: json('Scenario no longer applies to live data', ref('Error'))
+      }
+    }
+  }
+};
@@ -0,0 +1,56 @@
+const { ref, arrayOf, jsonBody, json, message, queryParam, idParam } = require('../components');
+
+const tags = ['Skills'];
+
+const skillId = idParam('Skill ID');
+
+module.exports = {
+  '/api/skills': {
+    get: {
+      tags,
+      summary: 'List the skill catalogue',
+      parameters: [
+        queryParam('search', { type: 'string' }, { description: 'Matches the name or an alias' }),
+        queryParam('category', { type: 'string' })
+      ],
+      responses: {
+        200: json('Skills', arrayOf(ref('Skill')))
+      }
+    },
+    post: {
+      tags,
+      summary: 'Add a skill to the catalogue',
+      description: 'Managers and admins only. Names and aliases must be unique across the catalogue.',
+      requestBody: jsonBody(ref('SkillCreate')),
+      responses: {
+        201: json('Created skill', ref('Skill')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/skills/{id}': {
+    patch: {
+      tags,
+      summary: 'Update a skill',
+      description: 'Managers and admins only. Renaming updates the cached name on engineers and projects.',
+      parameters: [skillId],
+      requestBody: jsonBody(ref('SkillUpdate')),
+      responses: {
+        200: json('Updated skill', ref('Skill')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Delete an unused skill',
+      description: 'Admins only.',
+      parameters: [skillId],
+      responses: {
+        200: message('Skill deleted'),
+        400: json('Skill is still in use', ref('Error')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  }
+};
@@ -0,0 +1,19 @@
+const { file, queryParam } = require('../components');
+
+module.exports = {
+  '/api/events/stream': {
+    get: {
+      tags: ['Events'],
+      summary: 'Stream create, update and delete events the caller can see',
+      description: 'Server-sent events. EventSource cannot send headers, so the access token may be passed as access_token. '
+        + 'Events missed since Last-Event-ID (or lastEventId) are replayed first.',
+      parameters: [
+        queryParam('access_token', { type: 'string' }, { description: 'Access token, when no Authorization header is sent' }),
+        queryParam('lastEventId', { type: 'string' }, { description: 'Replay events after this one' })
+      ],
+      responses: {
+        200: file('Event stream', 'text/event-stream')
+      }
+    }
+  }
+};
@@ -0,0 +1,73 @@
+const { ref, arrayOf, jsonBody, json, queryParam, idParam } = require('../components');
+
+const tags = ['Time off'];
+
+const timeOffId = idParam('Time off request ID');
+
+const review = summary => ({
+  tags,
+  summary,
+  description: 'Admins, and owners and co-managers of a project the engineer is on. ' +
+    'Only pending requests can be reviewed.',
+  parameters: [timeOffId],
+  requestBody: jsonBody(ref('Review'), false),
+  responses: {
+    200: json('Reviewed request', ref('TimeOff')),
+    400: { $ref: '#/components/responses/BadRequest' },
+    403: { $ref: '#/components/responses/Forbidden' },
+    404: { $ref: '#/components/responses/NotFound' },
+    409: json('Approving would overlap another approved request', ref('Error'))
+  }
+});
+
+module.exports = {
+  '/api/time-off': {
+    get: {
+      tags,
+      summary: 'List time off requests',
+      description: 'Engineers only see their own requests.',
+      parameters: [
+        queryParam('engineerId', ref('ObjectId')),
+        queryParam('status', { type: 'string', enum: ['pending', 'approved', 'rejected', 'cancelled'] }),
+        queryParam('startDate', ref('IsoDate'), { description: 'With endDate, only requests overlapping the range' }),
+        queryParam('endDate', ref('IsoDate'))
+      ],
+      responses: {
+        200: json('Time off requests', arrayOf(ref('TimeOff'))),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    },
+    post: {
+      tags,
+      summary: 'Request time off',
+      description: 'Engineers request for themselves; managers and admins must give an engineerId.',
+      requestBody: jsonBody(ref('TimeOffCreate')),
+      responses: {
+        201: json('Pending request', ref('TimeOff')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' },
+        409: json('Overlaps a pending or approved request of the engineer', ref('Error'))
+      }
+    }
+  },
+  '/api/time-off/{id}/approve': {
+    patch: review('Approve a time off request')
+  },
+  '/api/time-off/{id}/reject': {
+    patch: review('Reject a time off request')
+  },
+  '/api/time-off/{id}/cancel': {
+    patch: {
+      tags,
+      summary: 'Cancel a time off request',
+      description: 'The requesting engineer, and whoever may review their leave.',
+      parameters: [timeOffId],
+      responses: {
+        200: json('Cancelled request', ref('TimeOff')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        403: { $ref: '#/components/responses/Forbidden' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  }
+};
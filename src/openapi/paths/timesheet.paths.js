@@ -0,0 +1,99 @@
+const TimesheetEntry = require('../../models/timesheetEntry.model');
+const { ref, object, jsonBody, json, message, queryParam, idParam, listOf, listQueryParams } = require('../components');
+
+const tags = ['Timesheets'];
+
+const entryId = idParam('Timesheet entry ID');
+
+const review = summary => ({
+  tags,
+  summary,
+  description: 'Managers with manage access to the project, and admins. Only submitted entries can be reviewed.',
+  parameters: [entryId],
+  requestBody: jsonBody(ref('Review'), false),
+  responses: {
+    200: json('Reviewed entry', ref('TimesheetEntry')),
+    400: { $ref: '#/components/responses/BadRequest' },
+    403: { $ref: '#/components/responses/Forbidden' },
+    404: { $ref: '#/components/responses/NotFound' }
+  }
+});
+
+module.exports = {
+  '/api/timesheets': {
+    get: {
+      tags,
+      summary: 'List timesheet entries',
+      description: 'Engineers see their own entries; managers see entries on projects they can read.',
+      parameters: [
+        queryParam('engineerId', ref('ObjectId')),
+        queryParam('projectId', ref('ObjectId')),
+        queryParam('assignmentId', ref('ObjectId')),
+        queryParam('status', { type: 'string', enum: TimesheetEntry.STATUSES }),
+        queryParam('startDate', ref('IsoDate')),
+        queryParam('endDate', ref('IsoDate')),
+        ...listQueryParams
+      ],
+      responses: {
+        200: json('Timesheet entries', listOf('TimesheetEntry')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    },
+    post: {
+      tags,
+      summary: 'Log hours against one of the caller\'s assignments',
+      description: 'Engineers only. Weekly entries are dated on the Monday.',
+      requestBody: jsonBody(ref('TimesheetEntryCreate')),
+      responses: {
+        201: json('Draft entry', ref('TimesheetEntry')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/timesheets/submit': {
+    post: {
+      tags,
+      summary: 'Submit draft and rejected entries in a date range for approval',
+      description: 'Engineers only.',
+      requestBody: jsonBody(ref('TimesheetSubmit')),
+      responses: {
+        200: json('Number of entries submitted', object({
+          submitted: { type: 'integer' }
+        }, { required: ['submitted'] })),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/timesheets/{id}': {
+    patch: {
+      tags,
+      summary: 'Update a draft or rejected entry',
+      description: 'Engineers only, on their own entries.',
+      parameters: [entryId],
+      requestBody: jsonBody(ref('TimesheetEntryUpdate')),
+      responses: {
+        200: json('Updated entry', ref('TimesheetEntry')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Delete a draft or rejected entry',
+      description: 'Engineers only, on their own entries.',
+      parameters: [entryId],
+      responses: {
+        200: message('Entry deleted'),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/timesheets/{id}/approve': {
+    patch: review('Approve a submitted entry')
+  },
+  '/api/timesheets/{id}/reject': {
+    patch: review('Reject a submitted entry')
+  }
+};
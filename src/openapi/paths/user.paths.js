@@ -0,0 +1,131 @@
+const LoginFailure = require('../../models/loginFailure.model');
+const { ref, arrayOf, object, jsonBody, csvBody, json, queryParam, idParam } = require('../components');
+
+const tags = ['Users'];
+const ROLES = ['engineer', 'manager', 'admin'];
+
+const userResponse = description => ({
+  200: json(description, ref('User')),
+  404: { $ref: '#/components/responses/NotFound' }
+});
+
+module.exports = {
+  '/api/users': {
+    get: {
+      tags,
+      summary: 'List users',
+      description: 'Admins only.',
+      parameters: [
+        queryParam('role', { type: 'string', enum: ROLES }),
+        queryParam('isActive', { type: 'string', enum: ['true', 'false'] }),
+        queryParam('search', { type: 'string' }, { description: 'Matches name or email' })
+      ],
+      responses: {
+        200: json('Users', arrayOf(ref('User')))
+      }
+    },
+    post: {
+      tags,
+      summary: 'Create a user',
+      description: 'Admins only.',
+      requestBody: jsonBody(ref('UserCreate')),
+      responses: {
+        201: json('Created user', ref('User')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/users/import': {
+    post: {
+      tags,
+      summary: 'Import users from CSV',
+      description: 'Admins only. Nothing is created unless every row is valid.',
+      parameters: [
+        queryParam('dryRun', { type: 'string', enum: ['true', 'false'] }, { description: 'Validate without creating' })
+      ],
+      requestBody: csvBody('CSV with email, name, role, password, skills, seniority, maxCapacity and department columns'),
+      responses: {
+        200: json('Dry run result', ref('ImportResult')),
+        201: json('Users created', ref('ImportResult')),
+        400: json('Invalid CSV or rows', ref('ImportResult'))
+      }
+    }
+  },
+  '/api/users/invites': {
+    post: {
+      tags,
+      summary: 'Invite a user by email',
+      description: 'Admins only.',
+      requestBody: jsonBody(object({
+        email: { type: 'string', format: 'email' },
+        role: { type: 'string', enum: ROLES }
+      }, { required: ['email', 'role'], additionalProperties: false })),
+      responses: {
+        201: json('Invite sent', ref('Invite')),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/users/login-failures': {
+    get: {
+      tags,
+      summary: 'List failed sign-in attempts',
+      description: 'Admins only. Newest first.',
+      parameters: [
+        queryParam('email', { type: 'string', format: 'email' }),
+        queryParam('userId', ref('ObjectId')),
+        queryParam('ip', { type: 'string', minLength: 1 }),
+        queryParam('reason', { type: 'string', enum: LoginFailure.REASONS }),
+        queryParam('from', ref('IsoDate')),
+        queryParam('to', ref('IsoDate')),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 })
+      ],
+      responses: {
+        200: json('Failed sign-in attempts', arrayOf(ref('LoginFailure')))
+      }
+    }
+  },
+  '/api/users/{id}/unlock': {
+    patch: {
+      tags,
+      summary: 'Clear a user\'s failed sign-ins and lock',
+      description: 'Admins only.',
+      parameters: [idParam('User ID')],
+      responses: userResponse('Unlocked user')
+    }
+  },
+  '/api/users/{id}/deactivate': {
+    patch: {
+      tags,
+      summary: 'Deactivate a user and revoke their sessions',
+      description: 'Admins only.',
+      parameters: [idParam('User ID')],
+      responses: {
+        ...userResponse('Deactivated user'),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/users/{id}/reactivate': {
+    patch: {
+      tags,
+      summary: 'Reactivate a user',
+      description: 'Admins only.',
+      parameters: [idParam('User ID')],
+      responses: userResponse('Reactivated user')
+    }
+  },
+  '/api/users/{id}/role': {
+    patch: {
+      tags,
+      summary: 'Change a user\'s role',
+      description: 'Admins only. Engineers need a seniority and department.',
+      parameters: [idParam('User ID')],
+      requestBody: jsonBody(ref('RoleChange')),
+      responses: {
+        ...userResponse('Updated user'),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  }
+};
@@ -0,0 +1,114 @@
+const { EVENT_TYPES } = require('../../services/events.service');
+const { ref, arrayOf, jsonBody, json, message, queryParam, idParam } = require('../components');
+
+const tags = ['Webhooks'];
+
+const webhookId = idParam('Webhook ID');
+
+const withSecret = description => json(description, {
+  allOf: [
+    ref('Webhook'),
+    { type: 'object', required: ['secret'], properties: { secret: { type: 'string' } } }
+  ]
+});
+
+module.exports = {
+  '/api/webhooks': {
+    get: {
+      tags,
+      summary: 'List webhooks',
+      description: 'Admins only. Secrets are not included.',
+      responses: {
+        200: json('Webhooks', arrayOf(ref('Webhook')))
+      }
+    },
+    post: {
+      tags,
+      summary: 'Register a webhook',
+      description: 'Admins only. A secret is generated when none is given and is only returned here and on rotation.',
+      requestBody: jsonBody(ref('WebhookCreate')),
+      responses: {
+        201: withSecret('Created webhook'),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/webhooks/deliveries': {
+    get: {
+      tags,
+      summary: 'List webhook deliveries',
+      description: 'Admins only. Newest first.',
+      parameters: [
+        queryParam('webhookId', ref('ObjectId')),
+        queryParam('status', { type: 'string', enum: ['pending', 'processing', 'succeeded', 'failed'] }),
+        queryParam('event', { type: 'string', enum: [...EVENT_TYPES, 'webhook.ping'] }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 })
+      ],
+      responses: {
+        200: json('Deliveries', arrayOf(ref('WebhookDelivery'))),
+        400: { $ref: '#/components/responses/BadRequest' }
+      }
+    }
+  },
+  '/api/webhooks/deliveries/{id}/retry': {
+    post: {
+      tags,
+      summary: 'Retry a delivery now',
+      description: 'Admins only.',
+      parameters: [idParam('Delivery ID')],
+      responses: {
+        200: json('Queued delivery', ref('WebhookDelivery')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/webhooks/{id}': {
+    patch: {
+      tags,
+      summary: 'Update a webhook',
+      description: 'Admins only.',
+      parameters: [webhookId],
+      requestBody: jsonBody(ref('WebhookUpdate')),
+      responses: {
+        200: json('Updated webhook', ref('Webhook')),
+        400: { $ref: '#/components/responses/BadRequest' },
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    },
+    delete: {
+      tags,
+      summary: 'Delete a webhook',
+      description: 'Admins only.',
+      parameters: [webhookId],
+      responses: {
+        200: message('Webhook deleted'),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/webhooks/{id}/rotate-secret': {
+    post: {
+      tags,
+      summary: 'Generate a new signing secret',
+      description: 'Admins only.',
+      parameters: [webhookId],
+      responses: {
+        200: withSecret('Webhook with its new secret'),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  },
+  '/api/webhooks/{id}/ping': {
+    post: {
+      tags,
+      summary: 'Queue a test delivery',
+      description: 'Admins only.',
+      parameters: [webhookId],
+      responses: {
+        202: json('Queued delivery', ref('WebhookDelivery')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }
+  }
+};
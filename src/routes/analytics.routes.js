@@ -0,0 +1,63 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const { INTERVALS, getUtilization } = require('../services/utilization.service');
+const { loadScenarioOverlay } = require('../services/scenario.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  NotFoundError
+} = require('../services/errors.service');
+
+const router = express.Router();
+
+// Validation middleware
+const validateUtilization = [
+  query('startDate').isISO8601(),
+  query('endDate').isISO8601(),
+  query('interval').optional().isIn(INTERVALS),
+  query('department').optional().trim().notEmpty(),
+  query('seniority').optional().isIn(['junior', 'mid', 'senior']),
+  query('scenarioId').optional().isMongoId()
+];
+
+// Get organisation-wide utilization
+router.get('/utilization', auth, authorize(['manager', 'admin']), validateUtilization, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const startDate = new Date(req.query.startDate);
+    const endDate = new Date(req.query.endDate);
+
+    if (endDate < startDate) {
+      return next(new BadRequestError('End date must be after start date', { code: 'INVALID_DATE_RANGE' }));
+    }
+
+    // Run against one of the caller's draft scenarios instead of live data
+    let overlay;
+    if (req.query.scenarioId) {
+      overlay = await loadScenarioOverlay(req.query.scenarioId, req.user);
+      if (!overlay) {
+        return next(new NotFoundError('Scenario not found'));
+      }
+    }
+
+    const utilization = await getUtilization({
+      startDate,
+      endDate,
+      interval: req.query.interval,
+      department: req.query.department,
+      seniority: req.query.seniority,
+      overlay
+    });
+
+    res.json(utilization);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,37 +4,154 @@ const Assignment = require('../models/assignment.model');
 const Project = require('../models/project.model');
 const User = require('../models/user.model');
 const { auth, authorize } = require('../middleware/auth.middleware');
+const {
+  snapshot,
+  recordAudit,
+  auditableProjectIds,
+  entryProjectIds,
+  getHistory
+} = require('../services/audit.service');
+const { sendCsv, formatDate } = require('../services/csv.service');
+const { publish } = require('../services/events.service');
+const { findOverallocatedPeriods, leaveOverlapPolicy } = require('../services/allocation.service');
+const { importAssignments } = require('../services/import.service');
+const { parseListQuery, paginate } = require('../services/listQuery.service');
+const { assertStaffable } = require('../services/projectStatus.service');
+const {
+  canAccessProject,
+  assignmentFilter,
+  canAccessAssignment
+} = require('../services/policy.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  ForbiddenError,
+  NotFoundError
+} = require('../services/errors.service');
 
 const router = express.Router();
 
 // Validation middleware
+const validateResponse = [
+  body('comment').optional().trim().isLength({ max: 1000 })
+];
+
 const validateAssignment = [
   body('engineerId').isMongoId(),
   body('projectId').isMongoId(),
+  body('phaseId').optional().isMongoId(),
   body('allocationPercentage').isInt({ min: 0, max: 100 }),
   body('startDate').isISO8601(),
   body('endDate').isISO8601(),
   body('role').trim().notEmpty()
 ];
 
+// Approved leave overlapping an assignment either fails the request or is returned as warnings
+const leaveWarnings = timeOff => timeOff.map(entry => ({
+  type: 'time_off_overlap',
+  message: `Overlaps approved ${entry.type} leave`,
+  timeOff: entry
+}));
+
+const withWarnings = (assignment, warnings) =>
+  (warnings.length ? { ...assignment.toObject(), warnings } : assignment);
+
+// Rejections for allocations the engineer has no room for, with what is in the way
+const capacityError = (message, availability) => new BadRequestError(message, {
+  code: 'INSUFFICIENT_CAPACITY',
+  details: {
+    maxCapacity: availability.maxCapacity,
+    peakAllocation: availability.peakAllocation,
+    conflicts: availability.conflicts
+  }
+});
+
+const timeOffError = availability => new BadRequestError('Assignment overlaps approved time off', {
+  code: 'TIME_OFF_OVERLAP',
+  details: { timeOff: availability.timeOff }
+});
+
+// Tell integrations when an engineer ends up above their maxCapacity (e.g. because of leave)
+const publishOverallocation = async (assignment, actor) => {
+  const { maxCapacity, periods } = await findOverallocatedPeriods(
+    assignment.engineerId._id || assignment.engineerId,
+    assignment.startDate,
+    assignment.endDate
+  );
+
+  if (periods.length) {
+    publish('engineer.overallocated', {
+      engineerId: assignment.engineerId._id || assignment.engineerId,
+      maxCapacity,
+      periods
+    }, { actor });
+  }
+};
+
+// Filters, sorting and field selection accepted by the assignment list
+const assignmentListSpec = {
+  filters: {
+    projectId: 'objectId',
+    engineerId: 'objectId',
+    startDate: 'date',
+    endDate: 'date'
+  },
+  sortable: {
+    startDate: 'date',
+    endDate: 'date',
+    allocationPercentage: 'number',
+    role: 'string',
+    status: 'string',
+    createdAt: 'date'
+  },
+  fields: ['engineerId', 'projectId', 'phaseId', 'allocationPercentage', 'startDate', 'endDate', 'role', 'status', 'statusHistory', 'createdAt', 'updatedAt'],
+  defaultSort: 'startDate'
+};
+
+// Build the assignment list query from request filters, limited to what the user can read
+const buildAssignmentQuery = async (filters, user) => {
+  const query = await assignmentFilter(user);
+
+  // Filter by project
+  if (filters.projectId) {
+    query.projectId = filters.projectId;
+  }
+
+  // Filter by engineer
+  if (filters.engineerId) {
+    query.engineerId = filters.engineerId;
+  }
+
+  // Filter by date range
+  if (filters.startDate && filters.endDate) {
+    query.startDate = { $lte: new Date(filters.endDate) };
+    query.endDate = { $gte: new Date(filters.startDate) };
+  }
+
+  return query;
+};
+
 // Create assignment
-router.post('/', auth, authorize(['manager']), validateAssignment, async (req, res) => {
+router.post('/', auth, authorize(['manager']), validateAssignment, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      return next(new RequestValidationError(errors.array()));
     }
 
-    // Verify project exists and is managed by the current user
-    const project = await Project.findOne({
-      _id: req.body.projectId,
-      managerId: req.user._id
-    });
+    // Verify project exists and the current user can manage it
+    const project = await Project.findById(req.body.projectId);
+
+    if (!project || !(await canAccessProject(req.user, project, 'read'))) {
+      return next(new NotFoundError('Project not found'));
+    }
 
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    if (!(await canAccessProject(req.user, project, 'manage'))) {
+      return next(new ForbiddenError('Not authorized to staff this project'));
     }
 
+    assertStaffable(project);
+
     // Verify engineer exists
     const engineer = await User.findOne({
       _id: req.body.engineerId,
@@ -42,93 +159,272 @@ router.post('/', auth, authorize(['manager']), validateAssignment, async (req, r
     });
 
     if (!engineer) {
-      return res.status(404).json({ message: 'Engineer not found' });
+      return next(new NotFoundError('Engineer not found'));
     }
 
     // Check engineer's availability
     const availability = await Assignment.checkAvailability(
-      req.body.engineerId,
+      engineer._id,
       new Date(req.body.startDate),
-      new Date(req.body.endDate)
+      new Date(req.body.endDate),
+      {
+        allocationPercentage: Number(req.body.allocationPercentage),
+        maxCapacity: engineer.maxCapacity,
+        countTimeOff: false
+      }
     );
 
     if (!availability.isAvailable) {
-      return res.status(400).json({
-        message: 'Engineer does not have sufficient capacity for this assignment',
-        allocations: availability.allocations
-      });
+      return next(capacityError('Engineer does not have sufficient capacity for this assignment', availability));
+    }
+
+    if (availability.timeOff.length && leaveOverlapPolicy() === 'fail') {
+      return next(timeOffError(availability));
     }
 
     const assignment = new Assignment(req.body);
+    assignment.transitionTo('proposed', { user: req.user });
     await assignment.save();
+    await recordAudit({
+      actor: req.user,
+      action: 'create',
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      after: assignment
+    });
+    publish('assignment.created', { assignment }, { actor: req.user });
+    await publishOverallocation(assignment, req.user);
 
     const populatedAssignment = await Assignment.findById(assignment._id)
       .populate('engineerId', 'name email skills')
       .populate('projectId', 'name description');
 
-    res.status(201).json(populatedAssignment);
+    res.status(201).json(withWarnings(populatedAssignment, leaveWarnings(availability.timeOff)));
   } catch (error) {
-    res.status(500).json({ message: 'Error creating assignment' });
+    next(error);
   }
 });
 
 // Get all assignments
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, async (req, res, next) => {
   try {
-    let query = {};
+    const options = parseListQuery(req.query, assignmentListSpec);
+    const query = await buildAssignmentQuery(options.filters, req.user);
+
+    const assignments = await paginate(Assignment, query, options, {
+      populate: [
+        ['engineerId', 'name email skills'],
+        ['projectId', 'name description status']
+      ]
+    });
 
-    // Filter by project
-    if (req.query.projectId) {
-      query.projectId = req.query.projectId;
-    }
+    res.json(assignments);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Filter by engineer
-    if (req.query.engineerId) {
-      query.engineerId = req.query.engineerId;
-    }
+// Import assignments from CSV
+router.post('/import', auth, authorize(['manager']), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res, next) => {
+  try {
+    const result = await importAssignments(req.body, {
+      manager: req.user,
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    const status = !result.valid ? 400 : result.dryRun ? 200 : 201;
+    res.status(status).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export assignments as CSV
+router.get('/export', auth, async (req, res, next) => {
+  try {
+    const { filters } = parseListQuery(req.query, assignmentListSpec);
+    const assignments = await Assignment.find(await buildAssignmentQuery(filters, req.user))
+      .populate('engineerId', 'name email')
+      .populate('projectId', 'name')
+      .sort({ startDate: 1 });
+
+    sendCsv(res, 'assignments.csv', [
+      { key: 'engineerEmail', header: 'engineerEmail' },
+      { key: 'engineerName', header: 'engineerName' },
+      { key: 'projectId', header: 'projectId' },
+      { key: 'projectName', header: 'projectName' },
+      { key: 'allocationPercentage', header: 'allocationPercentage' },
+      { key: 'startDate', header: 'startDate' },
+      { key: 'endDate', header: 'endDate' },
+      { key: 'role', header: 'role' }
+    ], assignments.map(assignment => ({
+      engineerEmail: assignment.engineerId?.email,
+      engineerName: assignment.engineerId?.name,
+      projectId: assignment.projectId?._id.toString(),
+      projectName: assignment.projectId?.name,
+      allocationPercentage: assignment.allocationPercentage,
+      startDate: formatDate(assignment.startDate),
+      endDate: formatDate(assignment.endDate),
+      role: assignment.role
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Filter by date range
-    if (req.query.startDate && req.query.endDate) {
-      query.startDate = { $lte: new Date(req.query.endDate) };
-      query.endDate = { $gte: new Date(req.query.startDate) };
+// Get pending proposals: across the projects a manager can manage, or an engineer's own
+router.get('/proposals', auth, async (req, res, next) => {
+  try {
+    const query = { status: 'proposed' };
+
+    if (req.user.role === 'engineer') {
+      query.engineerId = req.user._id;
+    } else {
+      Object.assign(query, await assignmentFilter(req.user, 'manage'));
     }
 
-    const assignments = await Assignment.find(query)
+    const proposals = await Assignment.find(query)
       .populate('engineerId', 'name email skills')
       .populate('projectId', 'name description status')
       .sort({ startDate: 1 });
 
-    res.json(assignments);
+    res.json(proposals);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching assignments' });
+    next(error);
   }
 });
 
 // Get assignment by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, async (req, res, next) => {
   try {
     const assignment = await Assignment.findById(req.params.id)
       .populate('engineerId', 'name email skills')
       .populate('projectId', 'name description status');
 
-    if (!assignment) {
-      return res.status(404).json({ message: 'Assignment not found' });
+    if (!assignment || !(await canAccessAssignment(req.user, assignment))) {
+      return next(new NotFoundError('Assignment not found'));
     }
 
     res.json(assignment);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching assignment' });
+    next(error);
   }
 });
 
+// Get assignment change history
+router.get('/:id/history', auth, authorize(['manager', 'admin']), async (req, res, next) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id);
+    if (assignment && !(await canAccessAssignment(req.user, assignment))) {
+      return next(new NotFoundError('Assignment not found'));
+    }
+
+    const history = await getHistory('Assignment', req.params.id);
+
+    // Once the assignment is deleted, its audit entries tell which project it was on
+    if (!assignment) {
+      const projectIds = await auditableProjectIds(req.user);
+      const readable = projectIds && new Set(projectIds.map(id => id.toString()));
+      const canRead = entry => !readable || entryProjectIds(entry).some(id => readable.has(id));
+      if (!history.some(canRead)) {
+        return next(new NotFoundError('Assignment not found'));
+      }
+    }
+
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept or decline a proposed assignment as the assigned engineer
+const respond = status => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const assignment = await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      return next(new NotFoundError('Assignment not found'));
+    }
+
+    if (assignment.engineerId.toString() !== req.user._id.toString()) {
+      return next(new ForbiddenError('Not authorized to respond to this assignment'));
+    }
+
+    if (assignment.status !== 'proposed') {
+      return next(new BadRequestError(`Assignment is already ${assignment.status}`, { code: 'INVALID_STATUS_TRANSITION' }));
+    }
+
+    // Proposals may not have reserved capacity, so re-check before accepting
+    if (status === 'accepted') {
+      const project = await Project.findById(assignment.projectId).select('status');
+      if (!project) {
+        return next(new NotFoundError('Project not found'));
+      }
+      assertStaffable(project);
+
+      const availability = await Assignment.checkAvailability(
+        assignment.engineerId,
+        assignment.startDate,
+        assignment.endDate,
+        {
+          allocationPercentage: assignment.allocationPercentage,
+          excludeAssignmentId: assignment._id,
+          countTimeOff: false
+        }
+      );
+
+      if (!availability.isAvailable) {
+        return next(capacityError('Engineer does not have sufficient capacity for this assignment', availability));
+      }
+
+      if (availability.timeOff.length && leaveOverlapPolicy() === 'fail') {
+        return next(timeOffError(availability));
+      }
+    }
+
+    const before = snapshot(assignment);
+    assignment.transitionTo(status, { user: req.user, comment: req.body.comment });
+    await assignment.save();
+    await recordAudit({
+      actor: req.user,
+      action: 'update',
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      before,
+      after: assignment
+    });
+    publish('assignment.updated', { assignment, previous: before }, { actor: req.user });
+    await publishOverallocation(assignment, req.user);
+
+    const updatedAssignment = await Assignment.findById(assignment._id)
+      .populate('engineerId', 'name email skills')
+      .populate('projectId', 'name description');
+
+    res.json(updatedAssignment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept assignment
+router.patch('/:id/accept', auth, authorize(['engineer']), validateResponse, respond('accepted'));
+
+// Decline assignment
+router.patch('/:id/decline', auth, authorize(['engineer']), validateResponse, respond('declined'));
+
 // Update assignment
-router.patch('/:id', auth, authorize(['manager']), async (req, res) => {
+router.patch('/:id', auth, authorize(['manager']), async (req, res, next) => {
   const updates = Object.keys(req.body);
-  const allowedUpdates = ['allocationPercentage', 'startDate', 'endDate', 'role'];
+  const allowedUpdates = ['allocationPercentage', 'startDate', 'endDate', 'role', 'phaseId'];
   const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
   if (!isValidOperation) {
-    return res.status(400).json({ message: 'Invalid updates' });
+    return next(new BadRequestError('Invalid updates', { code: 'INVALID_UPDATES' }));
   }
 
   try {
@@ -136,62 +432,90 @@ router.patch('/:id', auth, authorize(['manager']), async (req, res) => {
       .populate('projectId');
 
     if (!assignment) {
-      return res.status(404).json({ message: 'Assignment not found' });
+      return next(new NotFoundError('Assignment not found'));
     }
 
-    // Verify the project belongs to the manager
-    if (assignment.projectId.managerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to update this assignment' });
+    // Verify the manager can manage the project
+    if (!(await canAccessAssignment(req.user, assignment, 'manage'))) {
+      return next(new ForbiddenError('Not authorized to update this assignment'));
     }
 
-    // Check capacity if allocation percentage is being updated
-    if (req.body.allocationPercentage) {
+    // Check capacity against the updated allocation and dates
+    let warnings = [];
+    if (['allocationPercentage', 'startDate', 'endDate'].some(field => updates.includes(field))) {
       const availability = await Assignment.checkAvailability(
         assignment.engineerId,
-        assignment.startDate,
-        assignment.endDate
+        new Date(req.body.startDate || assignment.startDate),
+        new Date(req.body.endDate || assignment.endDate),
+        {
+          allocationPercentage: Number(req.body.allocationPercentage ?? assignment.allocationPercentage),
+          excludeAssignmentId: assignment._id,
+          countTimeOff: false
+        }
       );
 
       if (!availability.isAvailable) {
-        return res.status(400).json({
-          message: 'Engineer does not have sufficient capacity for this update',
-          allocations: availability.allocations
-        });
+        return next(capacityError('Engineer does not have sufficient capacity for this update', availability));
       }
+
+      if (availability.timeOff.length && leaveOverlapPolicy() === 'fail') {
+        return next(timeOffError(availability));
+      }
+      warnings = leaveWarnings(availability.timeOff);
     }
 
+    const before = snapshot(assignment);
     updates.forEach(update => assignment[update] = req.body[update]);
     await assignment.save();
+    await recordAudit({
+      actor: req.user,
+      action: 'update',
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      before,
+      after: assignment
+    });
+    publish('assignment.updated', { assignment, previous: before }, { actor: req.user });
+    await publishOverallocation(assignment, req.user);
 
     const updatedAssignment = await Assignment.findById(assignment._id)
       .populate('engineerId', 'name email skills')
       .populate('projectId', 'name description');
 
-    res.json(updatedAssignment);
+    res.json(withWarnings(updatedAssignment, warnings));
   } catch (error) {
-    res.status(400).json({ message: 'Error updating assignment' });
+    next(error);
   }
 });
 
 // Delete assignment
-router.delete('/:id', auth, authorize(['manager']), async (req, res) => {
+router.delete('/:id', auth, authorize(['manager']), async (req, res, next) => {
   try {
     const assignment = await Assignment.findById(req.params.id)
       .populate('projectId');
 
     if (!assignment) {
-      return res.status(404).json({ message: 'Assignment not found' });
+      return next(new NotFoundError('Assignment not found'));
     }
 
-    // Verify the project belongs to the manager
-    if (assignment.projectId.managerId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this assignment' });
+    // Verify the manager can manage the project
+    if (!(await canAccessAssignment(req.user, assignment, 'manage'))) {
+      return next(new ForbiddenError('Not authorized to delete this assignment'));
     }
 
-    await assignment.remove();
+    await assignment.deleteOne();
+    await recordAudit({
+      actor: req.user,
+      action: 'delete',
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      before: assignment
+    });
+    publish('assignment.deleted', { assignment }, { actor: req.user });
+
     res.json({ message: 'Assignment deleted successfully' });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting assignment' });
+    next(error);
   }
 });
 
@@ -0,0 +1,82 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/auditLog.model');
+const Assignment = require('../models/assignment.model');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const { auditableProjectIds } = require('../services/audit.service');
+const { RequestValidationError } = require('../services/errors.service');
+
+const router = express.Router();
+
+// Validation middleware
+const validateAuditQuery = [
+  query('entityType').optional().isIn(['Project', 'Assignment']),
+  query('entityId').optional().isMongoId(),
+  query('actorId').optional().isMongoId(),
+  query('action').optional().isIn(['create', 'update', 'delete']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+];
+
+// Get audit log entries
+router.get('/', auth, authorize(['manager', 'admin']), validateAuditQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const query = {};
+
+    // Managers only see changes on projects they can read, or could read before deleting them.
+    // Entries written before projectIds was recorded are matched by the entities still stored.
+    const projectIds = await auditableProjectIds(req.user);
+    if (projectIds) {
+      const assignmentIds = await Assignment.find({ projectId: { $in: projectIds } }).distinct('_id');
+      query.$or = [
+        { projectIds: { $in: projectIds } },
+        { projectIds: { $exists: false }, entityType: 'Project', entityId: { $in: projectIds } },
+        { projectIds: { $exists: false }, entityType: 'Assignment', entityId: { $in: assignmentIds } }
+      ];
+    }
+
+    // Filter by entity
+    if (req.query.entityType) {
+      query.entityType = req.query.entityType;
+    }
+    if (req.query.entityId) {
+      query.entityId = req.query.entityId;
+    }
+
+    // Filter by actor and action
+    if (req.query.actorId) {
+      query.actorId = req.query.actorId;
+    }
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+
+    // Filter by date range
+    if (req.query.from || req.query.to) {
+      query.timestamp = {};
+      if (req.query.from) {
+        query.timestamp.$gte = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        query.timestamp.$lte = new Date(req.query.to);
+      }
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actorId', 'name email')
+      .sort({ timestamp: -1 })
+      .limit(req.query.limit ? parseInt(req.query.limit) : 100);
+
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,39 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
 const { auth } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/token.service');
+const {
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+} = require('../services/password.service');
+const { findInvite, claimInvite, releaseInvite } = require('../services/invite.service');
+const { publish } = require('../services/events.service');
+const { resetKey } = require('../services/rateLimit.service');
+const { recordLoginFailure, verifyPassword } = require('../services/lockout.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  UnauthorizedError,
+  ForbiddenError
+} = require('../services/errors.service');
 
 const router = express.Router();
 
-
 // Validation middleware
 const validateRegistration = [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('name').trim().notEmpty(),
-  body('role').isIn(['engineer', 'manager']),
+  body('role').optional().isIn(['engineer', 'manager', 'admin']),
+  body('inviteToken').optional().isHexadecimal().isLength({ min: 64, max: 64 }),
   body('skills').optional().isArray(),
   body('seniority').optional().isIn(['junior', 'mid', 'senior']),
   body('maxCapacity').optional().isInt({ min: 0, max: 100 }),
@@ -24,25 +45,104 @@ const validateLogin = [
   body('password').notEmpty()
 ];
 
+const validateRefresh = [
+  body('refreshToken').isJWT()
+];
+
+const validatePasswordChange = [
+  body('currentPassword').notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+];
+
+const validateForgotPassword = [
+  body('email').isEmail().normalizeEmail()
+];
+
+const validateResetPassword = [
+  body('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+  body('password').isLength({ min: 6 })
+];
+
+// Registration mode: 'open' (engineers may self-register), 'invite' or 'disabled'
+const REGISTRATION_MODES = ['open', 'invite', 'disabled'];
+const registrationMode = () => {
+  const mode = process.env.REGISTRATION_MODE || 'open';
+  return REGISTRATION_MODES.includes(mode) ? mode : 'disabled';
+};
+
+const sessionContext = req => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+// Rate limits for the unauthenticated endpoints, per client IP and per account email
+const MINUTE = 60 * 1000;
+const rateWindow = () => (parseInt(process.env.AUTH_RATE_WINDOW_MINUTES) || 15) * MINUTE;
+const accountKey = req => (typeof req.body.email === 'string' ? req.body.email.toLowerCase() : null);
+
+const recordRateLimited = req => recordLoginFailure({
+  email: accountKey(req),
+  reason: 'rate_limited',
+  context: sessionContext(req)
+});
+
+const loginIpLimit = rateLimit({
+  name: 'login-ip',
+  windowMs: rateWindow,
+  max: () => parseInt(process.env.LOGIN_IP_LIMIT) || 50,
+  onLimit: recordRateLimited
+});
+
+const loginAccountLimit = rateLimit({
+  name: 'login-account',
+  windowMs: rateWindow,
+  max: () => parseInt(process.env.LOGIN_ACCOUNT_LIMIT) || 10,
+  keyOf: accountKey,
+  onLimit: recordRateLimited
+});
+
+const registerIpLimit = rateLimit({
+  name: 'register-ip',
+  windowMs: rateWindow,
+  max: () => parseInt(process.env.REGISTER_IP_LIMIT) || 10
+});
+
 // Register user
-router.post('/register', validateRegistration, async (req, res) => {
+router.post('/register', registerIpLimit, validateRegistration, async (req, res, next) => {
   try {
-    // Verify JWT secret is available
-    if (!process.env.ACCESS_TOKEN_SECRET) {
-      throw new Error('JWT secret is not configured. Please check environment variables.');
+    // Verify JWT secrets are available
+    if (!process.env.ACCESS_TOKEN_SECRET || !process.env.REFRESH_TOKEN_SECRET) {
+      throw new Error('JWT secrets are not configured. Please check environment variables.');
     }
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      return next(new RequestValidationError(errors.array()));
     }
 
-    const { email, password, name, role, skills, seniority, maxCapacity, department } = req.body;
+    const { email, password, name, inviteToken, skills, seniority, maxCapacity, department } = req.body;
+
+    const mode = registrationMode();
+    if (mode === 'disabled') {
+      return next(new ForbiddenError('Registration is disabled', { code: 'REGISTRATION_DISABLED' }));
+    }
+
+    if (mode === 'invite' && !inviteToken) {
+      return next(new ForbiddenError('Registration requires an invite', { code: 'INVITE_REQUIRED' }));
+    }
+
+    // Invited users get the role they were invited with; everyone else registers as an engineer
+    const invite = inviteToken ? await findInvite(inviteToken, email) : null;
+    const role = invite ? invite.role : req.body.role || 'engineer';
+
+    if (!invite && role !== 'engineer') {
+      return next(new ForbiddenError('Only engineers can self-register', { code: 'ROLE_NOT_ALLOWED' }));
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+      return next(new BadRequestError('User already exists', { code: 'EMAIL_TAKEN' }));
     }
 
     // Create new user
@@ -57,64 +157,158 @@ router.post('/register', validateRegistration, async (req, res) => {
       department: role === 'engineer' ? department : undefined
     });
 
-    await user.save();
+    // Claim the invite before creating the account, so an invite registers one user at most
+    const claimed = invite ? await claimInvite(invite) : null;
+    try {
+      await user.save();
+    } catch (error) {
+      if (claimed) {
+        await releaseInvite(claimed);
+      }
+      throw error;
+    }
+
+    publish('user.created', { user: user.toPublicJSON() }, { actor: user });
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.ACCESS_TOKEN_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate tokens
+    const tokens = await issueTokens(user, sessionContext(req));
 
     res.status(201).json({
-      token,
+      ...tokens,
       user: user.toPublicJSON()
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ 
-      message: 'Error creating user',
-      error: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    next(error);
   }
 });
 
 // Login user
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', loginIpLimit, validateLogin, loginAccountLimit, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      return next(new RequestValidationError(errors.array()));
     }
 
     const { email, password } = req.body;
+    const context = sessionContext(req);
 
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      await recordLoginFailure({ email, reason: 'unknown_user', context });
+      return next(new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' }));
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
+    // Check password; repeated failures lock the account
+    const isMatch = await verifyPassword(user, password, context);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return next(new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' }));
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.ACCESS_TOKEN_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (!user.isActive) {
+      await recordLoginFailure({ user, reason: 'deactivated', context });
+      return next(new ForbiddenError('Account is deactivated', { code: 'ACCOUNT_DEACTIVATED' }));
+    }
+
+    await resetKey(`login-account:${email}`);
+
+    // Generate tokens
+    const tokens = await issueTokens(user, sessionContext(req));
 
     res.json({
-      token,
+      ...tokens,
       user: user.toPublicJSON()
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error logging in' });
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', validateRefresh, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out of the current session
+router.post('/logout', auth, async (req, res, next) => {
+  try {
+    await revokeSession(req.session._id);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out of all sessions
+router.post('/logout-all', auth, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change password of the current user
+router.post('/password/change', auth, validatePasswordChange, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    await changePassword(req.user, req.body.currentPassword, req.body.newPassword, sessionContext(req));
+
+    // Every session was revoked, so hand the caller a fresh one
+    const tokens = await issueTokens(req.user, sessionContext(req));
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a password reset email
+router.post('/password/forgot', validateForgotPassword, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    await requestPasswordReset(req.body.email);
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset password with a reset token
+router.post('/password/reset', validateResetPassword, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    await resetPassword(req.body.token, req.body.password);
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -124,21 +318,22 @@ router.get('/profile', auth, async (req, res) => {
 });
 
 // Update user profile
-router.patch('/profile', auth, async (req, res) => {
+router.patch('/profile', auth, async (req, res, next) => {
   const updates = Object.keys(req.body);
   const allowedUpdates = ['name', 'skills', 'seniority', 'department'];
   const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
   if (!isValidOperation) {
-    return res.status(400).json({ message: 'Invalid updates' });
+    return next(new BadRequestError('Invalid updates', { code: 'INVALID_UPDATES' }));
   }
 
   try {
     updates.forEach(update => req.user[update] = req.body[update]);
     await req.user.save();
+    publish('user.updated', { user: req.user.toPublicJSON() }, { actor: req.user });
     res.json(req.user.toPublicJSON());
   } catch (error) {
-    res.status(400).json({ message: 'Error updating profile' });
+    next(error);
   }
 });
 
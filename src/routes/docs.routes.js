@@ -0,0 +1,21 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { document } = require('../openapi');
+
+const router = express.Router();
+
+// Get the OpenAPI document
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+// Interactive documentation, loading the document above
+router.use('/', swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: document.info.title,
+  swaggerOptions: {
+    url: 'openapi.json',
+    persistAuthorization: true
+  }
+}));
+
+module.exports = router;
@@ -2,51 +2,178 @@ const express = require('express');
 const User = require('../models/user.model');
 const Assignment = require('../models/assignment.model');
 const { auth, authorize } = require('../middleware/auth.middleware');
+const { sendCsv, formatSkillList } = require('../services/csv.service');
+const { skillFilter } = require('../services/skill.service');
+const { loadScenarioOverlay, overlayAssignments } = require('../services/scenario.service');
+const { escapeRegex, parseListQuery, paginate } = require('../services/listQuery.service');
+const { maskAvailability } = require('../services/allocation.service');
+const {
+  assignmentFilter,
+  assignmentReadCheck,
+  canViewEngineer,
+  engineerFilter
+} = require('../services/policy.service');
+const {
+  issueFeedToken,
+  revokeFeedToken,
+  verifyFeedToken,
+  buildCalendar,
+  sendCalendar
+} = require('../services/calendar.service');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../services/errors.service');
 
 const router = express.Router();
 
-// Get all engineers
-router.get('/', auth, authorize(['manager']), async (req, res) => {
-  try {
-    const query = { role: 'engineer' };
-
-    // Add search functionality
-    if (req.query.search) {
-      query.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { email: { $regex: req.query.search, $options: 'i' } }
-      ];
-    }
+// Sorting and field selection shared by the engineer list endpoints
+const engineerListOptions = {
+  sortable: {
+    name: 'string',
+    email: 'string',
+    seniority: 'string',
+    department: 'string',
+    maxCapacity: 'number',
+    createdAt: 'date'
+  },
+  fields: ['name', 'email', 'role', 'skills', 'seniority', 'maxCapacity', 'department', 'isActive', 'createdAt', 'updatedAt'],
+  defaultSort: 'name'
+};
 
-    // Filter by skills if provided
-    if (req.query.skills) {
-      const skills = Array.isArray(req.query.skills) ? req.query.skills : [req.query.skills];
-      query.skills = { $in: skills };
-    }
+const engineerListSpec = {
+  ...engineerListOptions,
+  filters: {
+    search: 'string',
+    skills: 'list',
+    minLevel: 'int',
+    seniority: User.schema.path('seniority').enumValues,
+    availability: 'int'
+  }
+};
 
-    // Filter by seniority if provided
-    if (req.query.seniority) {
-      query.seniority = req.query.seniority;
-    }
+const engineerSearchSpec = {
+  ...engineerListOptions,
+  filters: {
+    skills: 'list',
+    minLevel: 'int'
+  }
+};
+
+// Overlay of the caller's draft scenario when ?scenarioId= is given. Resolves to null when
+// the scenario does not exist, and to an empty overlay when no scenario was asked for.
+const scenarioOverlayFor = req => (req.query.scenarioId
+  ? loadScenarioOverlay(String(req.query.scenarioId), req.user)
+  : { excludeAssignmentIds: [], additionalAssignments: [] });
+
+// Engineers can only look at themselves; managers and admins can look at anyone
+const requireEngineerAccess = (req, res, next) => {
+  if (!canViewEngineer(req.user, req.params.id)) {
+    return next(new ForbiddenError('Unauthorized access.'));
+  }
+  next();
+};
+
+// Calendar feeds expose every assignment, so only the engineer or an admin manages them
+const requireFeedOwner = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+    return next(new ForbiddenError('Unauthorized access.'));
+  }
+  next();
+};
 
-    // Filter by availability if provided
-    if (req.query.availability) {
-      const minAvailability = parseInt(req.query.availability);
-      // This will be handled by the frontend based on current assignments
+// The calendar month containing now, which capacity figures cover
+const currentMonth = (now = new Date()) => ({
+  startDate: new Date(now.getFullYear(), now.getMonth(), 1),
+  endDate: new Date(now.getFullYear(), now.getMonth() + 1, 0)
+});
+
+const toList = value => (Array.isArray(value) ? value : value.split(',')).map(item => item.trim());
+
+// Build the engineer list query from request filters
+const buildEngineerQuery = async filters => {
+  const query = { role: 'engineer' };
+
+  // Add search functionality
+  if (filters.search) {
+    query.$or = [
+      { name: { $regex: escapeRegex(filters.search), $options: 'i' } },
+      { email: { $regex: escapeRegex(filters.search), $options: 'i' } }
+    ];
+  }
+
+  // Filter by skills (names or aliases) and minimum level if provided
+  if (filters.skills) {
+    query.skills = await skillFilter(toList(filters.skills), 'level', parseInt(filters.minLevel));
+  }
+
+  // Filter by seniority if provided
+  if (filters.seniority) {
+    query.seniority = filters.seniority;
+  }
+
+  // Filter by free capacity this month, counting assignments and approved time off
+  if (filters.availability) {
+    const minAvailability = parseInt(filters.availability);
+    const { startDate, endDate } = currentMonth();
+    const candidates = await User.find(query).select('maxCapacity');
+    const available = [];
+    for (const engineer of candidates) {
+      const availability = await Assignment.checkAvailability(engineer._id, startDate, endDate, {
+        maxCapacity: engineer.maxCapacity
+      });
+      if (availability.lowestFreePercentage >= minAvailability) {
+        available.push(engineer._id);
+      }
     }
+    query._id = { $in: available };
+  }
 
-    const engineers = await User.find(query)
+  return query;
+};
+
+// Get all engineers
+router.get('/', auth, authorize(['manager']), async (req, res, next) => {
+  try {
+    const options = parseListQuery(req.query, engineerListSpec);
+    const query = await buildEngineerQuery(options.filters);
+    const engineers = await paginate(User, query, options, { select: '-password' });
+
+    res.json(engineers);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export engineers as CSV
+router.get('/export', auth, authorize(['manager', 'admin']), async (req, res, next) => {
+  try {
+    const { filters } = parseListQuery(req.query, engineerListSpec);
+    const engineers = await User.find(await buildEngineerQuery(filters))
       .select('-password')
       .sort({ name: 1 });
-    
-    res.json(engineers);
+
+    sendCsv(res, 'engineers.csv', [
+      { key: 'email', header: 'email' },
+      { key: 'name', header: 'name' },
+      { key: 'role', header: 'role' },
+      { key: 'skills', header: 'skills' },
+      { key: 'seniority', header: 'seniority' },
+      { key: 'maxCapacity', header: 'maxCapacity' },
+      { key: 'department', header: 'department' }
+    ], engineers.map(engineer => ({
+      email: engineer.email,
+      name: engineer.name,
+      role: engineer.role,
+      skills: formatSkillList(engineer.skills, 'level'),
+      seniority: engineer.seniority,
+      maxCapacity: engineer.maxCapacity,
+      department: engineer.department
+    })));
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching engineers' });
+    next(error);
   }
 });
 
 // Get engineer by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requireEngineerAccess, async (req, res, next) => {
   try {
     const engineer = await User.findOne({
       _id: req.params.id,
@@ -54,17 +181,17 @@ router.get('/:id', auth, async (req, res) => {
     }).select('-password');
 
     if (!engineer) {
-      return res.status(404).json({ message: 'Engineer not found' });
+      return next(new NotFoundError('Engineer not found'));
     }
 
     res.json(engineer);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching engineer' });
+    next(error);
   }
 });
 
 // Get engineer's capacity
-router.get('/:id/capacity', auth, async (req, res) => {
+router.get('/:id/capacity', auth, requireEngineerAccess, async (req, res, next) => {
   try {
     const engineer = await User.findOne({
       _id: req.params.id,
@@ -72,63 +199,96 @@ router.get('/:id/capacity', auth, async (req, res) => {
     });
 
     if (!engineer) {
-      return res.status(404).json({ message: 'Engineer not found' });
+      return next(new NotFoundError('Engineer not found'));
     }
 
-    const now = new Date();
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    const overlay = await scenarioOverlayFor(req);
+    if (!overlay) {
+      return next(new NotFoundError('Scenario not found'));
+    }
 
-    const assignments = await Assignment.find({
+    const { startDate: monthStart, endDate: monthEnd } = currentMonth();
+
+    const storedAssignments = await Assignment.find({
       engineerId: engineer._id,
+      status: { $nin: Assignment.nonReservingStatuses() },
       startDate: { $lte: monthEnd },
       endDate: { $gte: monthStart }
-    }).populate('projectId', 'name');
+    });
+    const assignments = await Assignment.populate(
+      overlayAssignments(storedAssignments, overlay, {
+        engineerId: engineer._id,
+        startDate: monthStart,
+        endDate: monthEnd
+      }),
+      { path: 'projectId', select: 'name' }
+    );
+
+    // Free capacity accounts for overlapping assignments and approved time off
+    const availability = await Assignment.checkAvailability(
+      engineer._id,
+      monthStart,
+      monthEnd,
+      { ...overlay, maxCapacity: engineer.maxCapacity }
+    );
 
+    // Assignments on projects the caller cannot read count, but show only share and dates
+    const canRead = await assignmentReadCheck(req.user);
     const capacity = {
       maxCapacity: engineer.maxCapacity,
-      currentAllocations: assignments.map(assignment => ({
-        project: assignment.projectId.name,
-        percentage: assignment.allocationPercentage,
-        startDate: assignment.startDate,
-        endDate: assignment.endDate,
-        role: assignment.role
-      })),
+      currentAllocations: assignments.map(assignment => (canRead(assignment)
+        ? {
+          project: assignment.projectId.name,
+          percentage: assignment.allocationPercentage,
+          startDate: assignment.startDate,
+          endDate: assignment.endDate,
+          role: assignment.role,
+          status: assignment.status
+        }
+        : {
+          hidden: true,
+          percentage: assignment.allocationPercentage,
+          startDate: assignment.startDate,
+          endDate: assignment.endDate
+        })),
+      timeOff: availability.timeOff,
       totalAllocated: assignments.reduce((sum, assignment) => sum + assignment.allocationPercentage, 0),
-      availableCapacity: engineer.maxCapacity - assignments.reduce((sum, assignment) => sum + assignment.allocationPercentage, 0)
+      availableCapacity: availability.lowestFreePercentage
     };
 
     res.json(capacity);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching capacity' });
+    next(error);
   }
 });
 
 // Search engineers by skills
-router.get('/search/skills', auth, async (req, res) => {
+router.get('/search/skills', auth, async (req, res, next) => {
   try {
-    const { skills } = req.query;
+    const options = parseListQuery(req.query, engineerSearchSpec);
+    const { skills } = options.filters;
     if (!skills) {
-      return res.status(400).json({ message: 'Skills parameter is required' });
+      return next(new BadRequestError('Skills parameter is required'));
     }
 
-    const skillsArray = skills.split(',').map(skill => skill.trim());
-    
-    const engineers = await User.find({
+    const engineers = await paginate(User, {
+      ...engineerFilter(req.user),
       role: 'engineer',
-      skills: { $in: skillsArray }
-    }).select('-password');
+      skills: await skillFilter(toList(skills), 'level', parseInt(options.filters.minLevel))
+    }, options, { select: '-password' });
 
     res.json(engineers);
   } catch (error) {
-    res.status(500).json({ message: 'Error searching engineers' });
+    next(error);
   }
 });
 
 // Get engineer's assignments
-router.get('/:id/assignments', auth, async (req, res) => {
+router.get('/:id/assignments', auth, requireEngineerAccess, async (req, res, next) => {
   try {
+    // Only assignments on projects the caller can read
     const assignments = await Assignment.find({
+      ...await assignmentFilter(req.user),
       engineerId: req.params.id
     })
     .populate('projectId', 'name description status')
@@ -136,28 +296,109 @@ router.get('/:id/assignments', auth, async (req, res) => {
 
     res.json(assignments);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching assignments' });
+    next(error);
+  }
+});
+
+// Create or rotate the engineer's calendar feed token
+router.post('/:id/calendar-feed', auth, requireFeedOwner, async (req, res, next) => {
+  try {
+    const engineer = await User.findOne({
+      _id: req.params.id,
+      role: 'engineer'
+    });
+
+    if (!engineer) {
+      return next(new NotFoundError('Engineer not found'));
+    }
+
+    const token = await issueFeedToken('engineer', engineer._id, req.user);
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json({
+      url: `${baseUrl}${req.baseUrl}/${engineer._id}/assignments.ics?token=${token}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke the engineer's calendar feed
+router.delete('/:id/calendar-feed', auth, requireFeedOwner, async (req, res, next) => {
+  try {
+    await revokeFeedToken('engineer', req.params.id);
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get engineer's assignments as an iCalendar feed (authenticated by feed token)
+router.get('/:id/assignments.ics', async (req, res, next) => {
+  try {
+    const isValid = await verifyFeedToken('engineer', req.params.id, req.query.token);
+    if (!isValid) {
+      return next(new NotFoundError('Calendar feed not found'));
+    }
+
+    const engineer = await User.findById(req.params.id).select('name');
+    if (!engineer) {
+      return next(new NotFoundError('Engineer not found'));
+    }
+
+    const assignments = await Assignment.find({ engineerId: engineer._id })
+      .populate('projectId', 'name')
+      .sort({ startDate: 1 });
+
+    const calendar = buildCalendar(
+      `${engineer.name} - Assignments`,
+      assignments,
+      assignment => `${assignment.projectId?.name} - ${assignment.role} (${assignment.allocationPercentage}%)`
+    );
+
+    sendCalendar(res, 'assignments.ics', calendar);
+  } catch (error) {
+    next(error);
   }
 });
 
 // Check engineer's availability
-router.get('/:id/availability', auth, async (req, res) => {
+router.get('/:id/availability', auth, requireEngineerAccess, async (req, res, next) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, allocationPercentage } = req.query;
     
     if (!startDate || !endDate) {
-      return res.status(400).json({ message: 'Start date and end date are required' });
+      return next(new BadRequestError('Start date and end date are required'));
+    }
+
+    const engineer = await User.findOne({
+      _id: req.params.id,
+      role: 'engineer'
+    });
+
+    if (!engineer) {
+      return next(new NotFoundError('Engineer not found'));
+    }
+
+    const overlay = await scenarioOverlayFor(req);
+    if (!overlay) {
+      return next(new NotFoundError('Scenario not found'));
     }
 
     const availability = await Assignment.checkAvailability(
-      req.params.id,
+      engineer._id,
       new Date(startDate),
-      new Date(endDate)
+      new Date(endDate),
+      {
+        ...overlay,
+        allocationPercentage: allocationPercentage ? parseInt(allocationPercentage) : 0,
+        maxCapacity: engineer.maxCapacity
+      }
     );
 
-    res.json(availability);
+    res.json(maskAvailability(availability, await assignmentReadCheck(req.user)));
   } catch (error) {
-    res.status(500).json({ message: 'Error checking availability' });
+    next(error);
   }
 });
 
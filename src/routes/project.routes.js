@@ -1,12 +1,50 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Project = require('../models/project.model');
 const Assignment = require('../models/assignment.model');
+const User = require('../models/user.model');
 const { auth, authorize } = require('../middleware/auth.middleware');
+const { requireProject } = require('../middleware/policy.middleware');
+const { rankCandidates } = require('../services/candidate.service');
+const { buildProjectPlan } = require('../services/plan.service');
+const { skillFilter } = require('../services/skill.service');
+const { escapeRegex, parseListQuery, paginate } = require('../services/listQuery.service');
+const { publish } = require('../services/events.service');
+const { projectFilter } = require('../services/policy.service');
+const {
+  CLOSED_STATUSES,
+  changeProjectStatus,
+  closeOpenAssignments
+} = require('../services/projectStatus.service');
+const { snapshot, recordAudit, getHistory } = require('../services/audit.service');
+const { sendCsv, formatSkillList, formatDate } = require('../services/csv.service');
+const { importProjects } = require('../services/import.service');
+const {
+  issueFeedToken,
+  revokeFeedToken,
+  verifyFeedToken,
+  buildCalendar,
+  sendCalendar
+} = require('../services/calendar.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  ForbiddenError,
+  NotFoundError
+} = require('../services/errors.service');
 
 const router = express.Router();
 
 // Validation middleware
+const validatePhases = [
+  body('phases').optional().isArray(),
+  body('phases.*.name').trim().notEmpty(),
+  body('phases.*.startDate').isISO8601(),
+  body('phases.*.endDate').isISO8601(),
+  body('phases.*.headcount').isInt({ min: 0 }),
+  body('phases.*.requiredSkills').optional().isArray()
+];
+
 const validateProject = [
   body('name').trim().notEmpty(),
   body('description').trim().notEmpty(),
@@ -14,15 +52,93 @@ const validateProject = [
   body('endDate').isISO8601(),
   body('requiredSkills').isArray(),
   body('teamSize').isInt({ min: 1 }),
-  body('status').isIn(['planning', 'active', 'completed'])
+  body('status').isIn(Project.INITIAL_STATUSES),
+  ...validatePhases
+];
+
+const validateProjectUpdate = [
+  body('status').optional().isIn(Project.STATUSES),
+  body('statusReason').optional().trim().notEmpty(),
+  ...validatePhases
+];
+
+const validateMember = [
+  body('userId').isMongoId(),
+  body('role').isIn(Project.MEMBER_ROLES)
 ];
 
+// Sorting and field selection shared by the project list endpoints
+const projectListOptions = {
+  sortable: {
+    name: 'string',
+    startDate: 'date',
+    endDate: 'date',
+    status: 'string',
+    teamSize: 'number',
+    createdAt: 'date'
+  },
+  fields: ['name', 'description', 'startDate', 'endDate', 'requiredSkills', 'teamSize', 'status', 'managerId', 'phases', 'createdAt', 'updatedAt'],
+  defaultSort: 'startDate'
+};
+
+const projectListSpec = {
+  ...projectListOptions,
+  filters: {
+    status: Project.schema.path('status').enumValues,
+    search: 'string',
+    skills: 'list',
+    minLevel: 'int',
+    overdue: 'boolean'
+  }
+};
+
+const projectSearchSpec = {
+  ...projectListOptions,
+  filters: {
+    skills: 'list',
+    minLevel: 'int'
+  }
+};
+
+const toList = value => (Array.isArray(value) ? value : value.split(',')).map(item => item.trim());
+
+// Build the project list query from request filters and the caller's role
+const buildProjectQuery = async (filters, user) => {
+  // Only projects the user can read
+  const query = { $and: [await projectFilter(user)] };
+
+  // Filter by status
+  if (filters.status) {
+    query.status = filters.status;
+  }
+
+  // Filter by the overdue flag set by the scheduled job
+  if (filters.overdue !== undefined) {
+    query.overdueSince = filters.overdue === 'true' ? { $ne: null } : null;
+  }
+
+  // Add search functionality
+  if (filters.search) {
+    query.$or = [
+      { name: { $regex: escapeRegex(filters.search), $options: 'i' } },
+      { description: { $regex: escapeRegex(filters.search), $options: 'i' } }
+    ];
+  }
+
+  // Filter by required skills (names or aliases) and minimum required level if provided
+  if (filters.skills) {
+    query.requiredSkills = await skillFilter(toList(filters.skills), 'minLevel', parseInt(filters.minLevel));
+  }
+
+  return query;
+};
+
 // Create project
-router.post('/', auth, authorize(['manager']), validateProject, async (req, res) => {
+router.post('/', auth, authorize(['manager']), validateProject, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      return next(new RequestValidationError(errors.array()));
     }
 
     const project = new Project({
@@ -31,89 +147,96 @@ router.post('/', auth, authorize(['manager']), validateProject, async (req, res)
     });
 
     await project.save();
+    await recordAudit({
+      actor: req.user,
+      action: 'create',
+      entityType: 'Project',
+      entityId: project._id,
+      after: project
+    });
+    publish('project.created', { project }, { actor: req.user });
+
     res.status(201).json(project);
   } catch (error) {
-    res.status(500).json({ message: 'Error creating project' });
+    next(error);
   }
 });
 
 // Get all projects
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, async (req, res, next) => {
   try {
-    const query = {};
-    
-    // Filter by status
-    if (req.query.status) {
-      query.status = req.query.status;
-    }
+    const options = parseListQuery(req.query, projectListSpec);
+    const query = await buildProjectQuery(options.filters, req.user);
 
-    // Filter by manager
-    if (req.user.role === 'manager') {
-      query.managerId = req.user._id;
-    }
+    const projects = await paginate(Project, query, options, {
+      populate: [['managerId', 'name email']],
+      lean: true
+    });
 
-    // Add search functionality
-    if (req.query.search) {
-      query.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } }
-      ];
+    if (!projects) {
+      return next(new NotFoundError('No projects found'));
     }
 
-    // Filter by skills if provided
-    if (req.query.skills) {
-      const skills = Array.isArray(req.query.skills) ? req.query.skills : [req.query.skills];
-      query.requiredSkills = { $in: skills };
-    }
+    res.json(projects);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import projects from CSV
+router.post('/import', auth, authorize(['manager']), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res, next) => {
+  try {
+    const result = await importProjects(req.body, {
+      manager: req.user,
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    const status = !result.valid ? 400 : result.dryRun ? 200 : 201;
+    res.status(status).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const projects = await Project.find(query)
-      .populate('managerId', 'name email')
+// Export projects as CSV
+router.get('/export', auth, async (req, res, next) => {
+  try {
+    const { filters } = parseListQuery(req.query, projectListSpec);
+    const projects = await Project.find(await buildProjectQuery(filters, req.user))
       .sort({ startDate: 1 })
       .lean();
 
-    if (!projects) {
-      return res.status(404).json({ 
-        message: 'No projects found',
-        error: 'NOT_FOUND'
-      });
-    }
-
-    res.json(projects);
+    sendCsv(res, 'projects.csv', [
+      { key: 'id', header: 'projectId' },
+      { key: 'name', header: 'name' },
+      { key: 'description', header: 'description' },
+      { key: 'startDate', header: 'startDate' },
+      { key: 'endDate', header: 'endDate' },
+      { key: 'requiredSkills', header: 'requiredSkills' },
+      { key: 'teamSize', header: 'teamSize' },
+      { key: 'status', header: 'status' }
+    ], projects.map(project => ({
+      id: project._id.toString(),
+      name: project.name,
+      description: project.description,
+      startDate: formatDate(project.startDate),
+      endDate: formatDate(project.endDate),
+      requiredSkills: formatSkillList(project.requiredSkills, 'minLevel'),
+      teamSize: project.teamSize,
+      status: project.status
+    })));
   } catch (error) {
-    console.error('Error fetching projects:', error);
-    
-    // Handle specific error types
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ 
-        message: 'Invalid query parameters',
-        error: 'VALIDATION_ERROR',
-        details: error.message
-      });
-    }
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({ 
-        message: 'Invalid ID format',
-        error: 'INVALID_ID'
-      });
-    }
-
-    res.status(500).json({ 
-      message: 'Internal server error while fetching projects',
-      error: 'INTERNAL_ERROR'
-    });
+    next(error);
   }
 });
 
 // Get project by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requireProject('read'), async (req, res, next) => {
   try {
-    const project = await Project.findById(req.params.id)
-      .populate('managerId', 'name email');
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
+    const project = await req.project.populate([
+      { path: 'managerId', select: 'name email' },
+      { path: 'members.userId', select: 'name email role' }
+    ]);
 
     // Get project team
     const assignments = await Assignment.find({ projectId: project._id })
@@ -126,55 +249,192 @@ router.get('/:id', auth, async (req, res) => {
         role: assignment.role,
         allocationPercentage: assignment.allocationPercentage,
         startDate: assignment.startDate,
-        endDate: assignment.endDate
+        endDate: assignment.endDate,
+        status: assignment.status,
+        phaseId: assignment.phaseId
       }))
     };
 
     res.json(response);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching project' });
+    next(error);
+  }
+});
+
+// Rank engineers as candidates for a project
+router.get('/:id/candidates', auth, authorize(['manager']), [
+  query('limit').optional().isInt({ min: 1 })
+], requireProject('manage'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const project = req.project;
+
+    const candidates = await rankCandidates(project, {
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+
+    res.json({
+      project: {
+        _id: project._id,
+        name: project.name,
+        requiredSkills: project.requiredSkills,
+        startDate: project.startDate,
+        endDate: project.endDate
+      },
+      candidates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get planned versus staffed headcount and skills per phase
+router.get('/:id/plan', auth, requireProject('read'), async (req, res, next) => {
+  try {
+    const plan = await buildProjectPlan(req.project);
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get project change history
+router.get('/:id/history', auth, authorize(['manager', 'admin']), requireProject('read'), async (req, res, next) => {
+  try {
+    const history = await getHistory('Project', req.params.id);
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create or rotate the project team calendar feed token
+router.post('/:id/calendar-feed', auth, authorize(['manager']), requireProject('manage'), async (req, res, next) => {
+  try {
+    const project = req.project;
+
+    const token = await issueFeedToken('project', project._id, req.user);
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json({
+      url: `${baseUrl}${req.baseUrl}/${project._id}/team.ics?token=${token}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke the project team calendar feed
+router.delete('/:id/calendar-feed', auth, authorize(['manager']), requireProject('manage'), async (req, res, next) => {
+  try {
+    const project = req.project;
+
+    await revokeFeedToken('project', project._id);
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get project team assignments as an iCalendar feed (authenticated by feed token)
+router.get('/:id/team.ics', async (req, res, next) => {
+  try {
+    const isValid = await verifyFeedToken('project', req.params.id, req.query.token);
+    if (!isValid) {
+      return next(new NotFoundError('Calendar feed not found'));
+    }
+
+    const project = await Project.findById(req.params.id).select('name');
+    if (!project) {
+      return next(new NotFoundError('Project not found'));
+    }
+
+    const assignments = await Assignment.find({ projectId: project._id })
+      .populate('engineerId', 'name')
+      .populate('projectId', 'name')
+      .sort({ startDate: 1 });
+
+    const calendar = buildCalendar(
+      `${project.name} - Team`,
+      assignments,
+      assignment => `${assignment.engineerId?.name} - ${assignment.role} (${assignment.allocationPercentage}%)`
+    );
+
+    sendCalendar(res, 'team.ics', calendar);
+  } catch (error) {
+    next(error);
   }
 });
 
 // Update project
-router.patch('/:id', auth, authorize(['manager']), async (req, res) => {
+router.patch('/:id', auth, authorize(['manager']), validateProjectUpdate, requireProject('manage'), async (req, res, next) => {
   const updates = Object.keys(req.body);
-  const allowedUpdates = ['name', 'description', 'startDate', 'endDate', 'requiredSkills', 'teamSize', 'status'];
+  const allowedUpdates = ['name', 'description', 'startDate', 'endDate', 'requiredSkills', 'teamSize', 'status', 'statusReason', 'phases'];
   const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
   if (!isValidOperation) {
-    return res.status(400).json({ message: 'Invalid updates' });
+    return next(new BadRequestError('Invalid updates', { code: 'INVALID_UPDATES' }));
   }
 
   try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      managerId: req.user._id
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
 
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    const project = req.project;
+    const before = snapshot(project);
+    const statusChanged = updates.includes('status') && req.body.status !== project.status;
+
+    // Status moves go through the state machine; everything else is set directly
+    updates
+      .filter(update => !['status', 'statusReason'].includes(update))
+      .forEach(update => project[update] = req.body[update]);
+    if (statusChanged) {
+      changeProjectStatus(project, req.body.status, { user: req.user, reason: req.body.statusReason });
     }
 
-    updates.forEach(update => project[update] = req.body[update]);
     await project.save();
-    res.json(project);
+    await recordAudit({
+      actor: req.user,
+      action: 'update',
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project
+    });
+    publish('project.updated', { project, previous: before }, { actor: req.user });
+
+    if (!statusChanged) {
+      return res.json(project);
+    }
+
+    publish('project.status_changed', {
+      project,
+      from: before.status,
+      to: project.status,
+      reason: req.body.statusReason
+    }, { actor: req.user });
+
+    // Completing or cancelling a project releases its team
+    const releasedAssignments = CLOSED_STATUSES.includes(project.status)
+      ? await closeOpenAssignments(project, req.user)
+      : undefined;
+
+    res.json({ ...project.toObject(), releasedAssignments });
   } catch (error) {
-    res.status(400).json({ message: 'Error updating project' });
+    next(error);
   }
 });
 
 // Delete project
-router.delete('/:id', auth, authorize(['manager']), async (req, res) => {
+router.delete('/:id', auth, authorize(['manager']), requireProject('delete'), async (req, res, next) => {
   try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      managerId: req.user._id
-    });
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
+    const project = req.project;
 
     // Check if project has active assignments
     const activeAssignments = await Assignment.find({
@@ -183,35 +443,151 @@ router.delete('/:id', auth, authorize(['manager']), async (req, res) => {
     });
 
     if (activeAssignments.length > 0) {
-      return res.status(400).json({
-        message: 'Cannot delete project with active assignments'
-      });
+      return next(new BadRequestError('Cannot delete project with active assignments', {
+        code: 'PROJECT_HAS_ASSIGNMENTS'
+      }));
     }
 
-    await project.remove();
+    await project.deleteOne();
+    await recordAudit({
+      actor: req.user,
+      action: 'delete',
+      entityType: 'Project',
+      entityId: project._id,
+      before: project
+    });
+    publish('project.deleted', { project }, { actor: req.user });
+
     res.json({ message: 'Project deleted successfully' });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting project' });
+    next(error);
+  }
+});
+
+// Get the project owner and the users it is shared with
+router.get('/:id/members', auth, requireProject('read'), async (req, res, next) => {
+  try {
+    const project = await req.project.populate([
+      { path: 'managerId', select: 'name email' },
+      { path: 'members.userId', select: 'name email role' }
+    ]);
+
+    res.json({ owner: project.managerId, members: project.members });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Only the owner (or an admin) can grant or take away co-manager rights
+const canChangeMember = (projectRole, ...roles) =>
+  ['owner', 'admin'].includes(projectRole) || !roles.includes('co_manager');
+
+// Share the project with a user as co-manager or viewer, or change their role
+router.post('/:id/members', auth, authorize(['manager', 'admin']), validateMember, requireProject('share'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const project = req.project;
+    const { userId, role } = req.body;
+    const existing = project.members.find(member => member.userId.equals(userId));
+
+    if (!canChangeMember(req.projectRole, role, existing?.role)) {
+      return next(new ForbiddenError('Only the project owner can manage co-managers'));
+    }
+
+    if (project.managerId.equals(userId)) {
+      return next(new BadRequestError('User already owns this project'));
+    }
+
+    const user = await User.findOne({ _id: userId, isActive: true });
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    if (role === 'co_manager' && user.role !== 'manager') {
+      return next(new BadRequestError('Only managers can be co-managers', { code: 'ROLE_NOT_ALLOWED' }));
+    }
+
+    const before = snapshot(project);
+    if (existing) {
+      existing.role = role;
+    } else {
+      project.members.push({ userId, role, addedBy: req.user._id });
+    }
+
+    await project.save();
+    await recordAudit({
+      actor: req.user,
+      action: 'update',
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project
+    });
+    publish('project.updated', { project, previous: before }, { actor: req.user });
+
+    res.status(existing ? 200 : 201).json(project.members);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop sharing the project with a user
+router.delete('/:id/members/:userId', auth, authorize(['manager', 'admin']), requireProject('share'), async (req, res, next) => {
+  try {
+    const project = req.project;
+    const member = project.members.find(entry => entry.userId.toString() === req.params.userId);
+
+    if (!member) {
+      return next(new NotFoundError('Member not found'));
+    }
+
+    if (!canChangeMember(req.projectRole, member.role)) {
+      return next(new ForbiddenError('Only the project owner can manage co-managers'));
+    }
+
+    const before = snapshot(project);
+    project.members = project.members.filter(entry => entry !== member);
+
+    await project.save();
+    await recordAudit({
+      actor: req.user,
+      action: 'update',
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project
+    });
+    publish('project.updated', { project, previous: before }, { actor: req.user });
+
+    res.json({ message: 'Member removed' });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Search projects by skills
-router.get('/search/skills', auth, async (req, res) => {
+router.get('/search/skills', auth, async (req, res, next) => {
   try {
-    const { skills } = req.query;
+    const options = parseListQuery(req.query, projectSearchSpec);
+    const { skills } = options.filters;
     if (!skills) {
-      return res.status(400).json({ message: 'Skills parameter is required' });
+      return next(new BadRequestError('Skills parameter is required'));
     }
 
-    const skillsArray = skills.split(',').map(skill => skill.trim());
-    
-    const projects = await Project.find({
-      requiredSkills: { $in: skillsArray }
-    }).populate('managerId', 'name email');
+    const projects = await paginate(Project, {
+      ...await projectFilter(req.user),
+      requiredSkills: await skillFilter(toList(skills), 'minLevel', parseInt(options.filters.minLevel))
+    }, options, {
+      populate: [['managerId', 'name email']]
+    });
 
     res.json(projects);
   } catch (error) {
-    res.status(500).json({ message: 'Error searching projects' });
+    next(error);
   }
 });
 
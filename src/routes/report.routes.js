@@ -0,0 +1,117 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const { CONFLICT_TYPES, findConflicts } = require('../services/conflict.service');
+const { INTERVALS } = require('../services/utilization.service');
+const { DEFAULT_THRESHOLD, buildVarianceReport } = require('../services/timesheet.service');
+const {
+  URGENCY_LEVELS,
+  SORT_FIELDS,
+  STAFFING_STATUSES,
+  findStaffingGaps
+} = require('../services/staffingGap.service');
+const { BadRequestError, RequestValidationError } = require('../services/errors.service');
+
+const router = express.Router();
+
+// Validation middleware
+const validateConflicts = [
+  query('type').optional().isIn(CONFLICT_TYPES),
+  query('engineerId').optional().isMongoId(),
+  query('projectId').optional().isMongoId()
+];
+
+const validateVariance = [
+  query('startDate').isISO8601(),
+  query('endDate').isISO8601(),
+  query('interval').optional().isIn(INTERVALS),
+  query('engineerId').optional().isMongoId(),
+  query('projectId').optional().isMongoId(),
+  query('includeSubmitted').optional().isBoolean(),
+  query('threshold').optional().isInt({ min: 1, max: 1000 })
+];
+
+const validateStaffingGaps = [
+  query('status').optional().isIn(STAFFING_STATUSES),
+  query('urgency').optional().isIn(URGENCY_LEVELS),
+  query('sort').optional().isIn(SORT_FIELDS)
+];
+
+// Every report is for managers and admins
+router.use(auth, authorize(['manager', 'admin']));
+
+// Over-allocation, assignments outside project dates and assignments on completed projects
+router.get('/conflicts', validateConflicts, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const report = await findConflicts({
+      user: req.user,
+      types: req.query.type ? [req.query.type] : CONFLICT_TYPES,
+      engineerId: req.query.engineerId,
+      projectId: req.query.projectId
+    });
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Target teamSize against concurrent headcount, missing skills and urgency per project
+router.get('/staffing-gaps', validateStaffingGaps, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const report = await findStaffingGaps({
+      user: req.user,
+      status: req.query.status,
+      minUrgency: req.query.urgency,
+      sort: req.query.sort
+    });
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Planned (allocationPercentage) versus logged hours per engineer and project
+router.get('/variance', validateVariance, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const startDate = new Date(req.query.startDate);
+    const endDate = new Date(req.query.endDate);
+
+    if (endDate < startDate) {
+      return next(new BadRequestError('End date must be after start date', { code: 'INVALID_DATE_RANGE' }));
+    }
+
+    const report = await buildVarianceReport({
+      startDate,
+      endDate,
+      interval: req.query.interval,
+      user: req.user,
+      engineerId: req.query.engineerId,
+      projectId: req.query.projectId,
+      includeSubmitted: req.query.includeSubmitted === 'true',
+      threshold: req.query.threshold ? parseInt(req.query.threshold) : DEFAULT_THRESHOLD
+    });
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Scenario = require('../models/scenario.model');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const {
+  findDraftScenario,
+  addChange,
+  diffScenario,
+  applyScenario
+} = require('../services/scenario.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  NotFoundError
+} = require('../services/errors.service');
+
+const router = express.Router();
+
+// Validation middleware
+const validateScenario = [
+  body('name').trim().notEmpty(),
+  body('description').optional().trim()
+];
+
+const validateScenarioUpdate = [
+  body('name').optional().trim().notEmpty(),
+  body('description').optional().trim()
+];
+
+const validateChange = [
+  body('operation').isIn(Scenario.CHANGE_OPERATIONS),
+  body('assignmentId')
+    .if(body('operation').not().equals('create'))
+    .isMongoId(),
+  body('data').optional().isObject(),
+  body('data.engineerId').optional().isMongoId(),
+  body('data.projectId').optional().isMongoId(),
+  body('data.phaseId').optional().isMongoId(),
+  body('data.allocationPercentage').optional().isInt({ min: 0, max: 100 }),
+  body('data.startDate').optional().isISO8601(),
+  body('data.endDate').optional().isISO8601(),
+  body('data.role').optional().trim().notEmpty()
+];
+
+// Scenarios are private drafts of the manager who created them
+router.use(auth, authorize(['manager']));
+
+// Get the current user's scenarios
+router.get('/', async (req, res, next) => {
+  try {
+    const query = { ownerId: req.user._id };
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = String(req.query.status);
+    }
+
+    const scenarios = await Scenario.find(query).sort({ updatedAt: -1 });
+    res.json(scenarios);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create scenario
+router.post('/', validateScenario, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const scenario = new Scenario({
+      name: req.body.name,
+      description: req.body.description,
+      ownerId: req.user._id
+    });
+
+    await scenario.save();
+    res.status(201).json(scenario);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get scenario by ID
+router.get('/:id', async (req, res, next) => {
+  try {
+    const scenario = await Scenario.findOne({ _id: req.params.id, ownerId: req.user._id });
+    if (!scenario) {
+      return next(new NotFoundError('Scenario not found'));
+    }
+
+    res.json(scenario);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename or describe a draft scenario
+router.patch('/:id', validateScenarioUpdate, async (req, res, next) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['name', 'description'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return next(new BadRequestError('Invalid updates', { code: 'INVALID_UPDATES' }));
+  }
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const scenario = await findDraftScenario(req.params.id, req.user);
+    if (!scenario) {
+      return next(new NotFoundError('Draft scenario not found'));
+    }
+
+    updates.forEach(update => scenario[update] = req.body[update]);
+    await scenario.save();
+    res.json(scenario);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Discard a draft scenario
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const scenario = await findDraftScenario(req.params.id, req.user);
+    if (!scenario) {
+      return next(new NotFoundError('Draft scenario not found'));
+    }
+
+    scenario.status = 'discarded';
+    await scenario.save();
+    res.json({ message: 'Scenario discarded successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a draft assignment create, update or delete
+router.post('/:id/changes', validateChange, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const scenario = await findDraftScenario(req.params.id, req.user);
+    if (!scenario) {
+      return next(new NotFoundError('Draft scenario not found'));
+    }
+
+    const updatedScenario = await addChange(scenario, req.user, {
+      operation: req.body.operation,
+      assignmentId: req.body.assignmentId,
+      data: req.body.data
+    });
+
+    res.status(201).json(updatedScenario);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a draft change
+router.delete('/:id/changes/:changeId', async (req, res, next) => {
+  try {
+    const scenario = await findDraftScenario(req.params.id, req.user);
+    if (!scenario) {
+      return next(new NotFoundError('Draft scenario not found'));
+    }
+
+    if (!scenario.changes.id(req.params.changeId)) {
+      return next(new NotFoundError('Change not found'));
+    }
+
+    scenario.changes.pull(req.params.changeId);
+    await scenario.save();
+    res.json(scenario);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare a draft scenario with live data
+router.get('/:id/diff', async (req, res, next) => {
+  try {
+    const scenario = await findDraftScenario(req.params.id, req.user);
+    if (!scenario) {
+      return next(new NotFoundError('Draft scenario not found'));
+    }
+
+    res.json(await diffScenario(scenario));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Apply every change in a draft scenario, or none of them
+router.post('/:id/apply', async (req, res, next) => {
+  try {
+    const scenario = await findDraftScenario(req.params.id, req.user);
+    if (!scenario) {
+      return next(new NotFoundError('Draft scenario not found'));
+    }
+
+    if (!scenario.changes.length) {
+      return next(new BadRequestError('Scenario has no changes'));
+    }
+
+    res.json(await applyScenario(scenario, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Skill = require('../models/skill.model');
+const User = require('../models/user.model');
+const Project = require('../models/project.model');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const { assertUniqueNames } = require('../services/skill.service');
+const { escapeRegex } = require('../services/listQuery.service');
+const { BadRequestError, RequestValidationError, NotFoundError } = require('../services/errors.service');
+
+const router = express.Router();
+
+// Validation middleware
+const validateSkill = [
+  body('name').trim().notEmpty(),
+  body('aliases').optional().isArray(),
+  body('aliases.*').isString().trim().notEmpty(),
+  body('category').optional().trim().notEmpty()
+];
+
+const validateSkillQuery = [
+  query('search').optional().trim(),
+  query('category').optional().trim()
+];
+
+// Get skill catalogue
+router.get('/', auth, validateSkillQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const query = {};
+
+    // Filter by category
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    // Match the canonical name or any alias
+    if (req.query.search) {
+      const key = Skill.normalizeName(req.query.search);
+      query.$or = [
+        { key: { $regex: escapeRegex(key) } },
+        { aliases: key }
+      ];
+    }
+
+    const skills = await Skill.find(query).sort({ category: 1, name: 1 });
+    res.json(skills);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create skill
+router.post('/', auth, authorize(['manager', 'admin']), validateSkill, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const skill = new Skill({
+      name: req.body.name,
+      aliases: req.body.aliases || [],
+      category: req.body.category
+    });
+
+    await assertUniqueNames(skill);
+    await skill.save();
+    res.status(201).json(skill);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update skill
+router.patch('/:id', auth, authorize(['manager', 'admin']), async (req, res, next) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['name', 'aliases', 'category'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return next(new BadRequestError('Invalid updates', { code: 'INVALID_UPDATES' }));
+  }
+
+  try {
+    const skill = await Skill.findById(req.params.id);
+
+    if (!skill) {
+      return next(new NotFoundError('Skill not found'));
+    }
+
+    updates.forEach(update => skill[update] = req.body[update]);
+    await assertUniqueNames(skill);
+    await skill.save();
+
+    // Keep the cached canonical name on engineers and projects in sync
+    if (updates.includes('name')) {
+      await Promise.all([
+        User.updateMany(
+          { 'skills.skill': skill._id },
+          { $set: { 'skills.$[entry].name': skill.name } },
+          { arrayFilters: [{ 'entry.skill': skill._id }] }
+        ),
+        Project.updateMany(
+          { 'requiredSkills.skill': skill._id },
+          { $set: { 'requiredSkills.$[entry].name': skill.name } },
+          { arrayFilters: [{ 'entry.skill': skill._id }] }
+        ),
+        Project.updateMany(
+          { 'phases.requiredSkills.skill': skill._id },
+          { $set: { 'phases.$[].requiredSkills.$[entry].name': skill.name } },
+          { arrayFilters: [{ 'entry.skill': skill._id }] }
+        )
+      ]);
+    }
+
+    res.json(skill);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete skill
+router.delete('/:id', auth, authorize(['admin']), async (req, res, next) => {
+  try {
+    const skill = await Skill.findById(req.params.id);
+
+    if (!skill) {
+      return next(new NotFoundError('Skill not found'));
+    }
+
+    const [users, projects] = await Promise.all([
+      User.countDocuments({ 'skills.skill': skill._id }),
+      Project.countDocuments({
+        $or: [
+          { 'requiredSkills.skill': skill._id },
+          { 'phases.requiredSkills.skill': skill._id }
+        ]
+      })
+    ]);
+
+    if (users || projects) {
+      return next(new BadRequestError('Cannot delete a skill that is still in use', {
+        code: 'SKILL_IN_USE',
+        details: { users, projects }
+      }));
+    }
+
+    await skill.deleteOne();
+    res.json({ message: 'Skill deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
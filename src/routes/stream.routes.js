@@ -0,0 +1,27 @@
+const express = require('express');
+const { auth } = require('../middleware/auth.middleware');
+const { openStream } = require('../services/stream.service');
+
+const router = express.Router();
+
+// EventSource cannot send headers, so the access token may also come as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Stream create, update and delete events the caller is allowed to see
+router.get('/stream', tokenFromQuery, auth, async (req, res, next) => {
+  try {
+    await openStream(req, res);
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+    res.end();
+  }
+});
+
+module.exports = router;
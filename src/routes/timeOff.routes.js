@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const TimeOff = require('../models/timeOff.model');
+const User = require('../models/user.model');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const { findOverallocatedPeriods } = require('../services/allocation.service');
+const { publish } = require('../services/events.service');
+const { canReviewTimeOff } = require('../services/policy.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../services/errors.service');
+
+const router = express.Router();
+
+// Validation middleware
+const validateTimeOff = [
+  body('engineerId').optional().isMongoId(),
+  body('type').isIn(['vacation', 'sick', 'training', 'other']),
+  body('startDate').isISO8601(),
+  body('endDate').isISO8601(),
+  body('percentage').optional().isInt({ min: 1, max: 100 }),
+  body('reason').optional().trim()
+];
+
+const validateReview = [
+  body('comment').optional().trim()
+];
+
+const validateTimeOffQuery = [
+  query('engineerId').optional().isMongoId(),
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+];
+
+const isReviewer = user => ['manager', 'admin'].includes(user.role);
+
+// Leave counts against capacity per request, so an engineer's pending and approved requests
+// may not overlap each other
+const findOverlappingTimeOff = (engineerId, startDate, endDate, excludeId) => TimeOff.findOne({
+  _id: { $ne: excludeId },
+  engineerId,
+  status: { $in: ['pending', 'approved'] },
+  startDate: { $lte: new Date(endDate) },
+  endDate: { $gte: new Date(startDate) }
+});
+
+const overlapError = overlapping => new ConflictError('Time off overlaps an existing request', {
+  code: 'TIME_OFF_OVERLAP',
+  details: { timeOffId: overlapping._id, startDate: overlapping.startDate, endDate: overlapping.endDate }
+});
+
+// Request time off
+router.post('/', auth, validateTimeOff, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    // Engineers request for themselves; managers and admins may file on an engineer's behalf
+    const engineerId = isReviewer(req.user) ? req.body.engineerId : req.user._id;
+    if (!engineerId) {
+      return next(new BadRequestError('Engineer ID is required'));
+    }
+
+    const engineer = await User.findOne({
+      _id: engineerId,
+      role: 'engineer'
+    });
+
+    if (!engineer) {
+      return next(new NotFoundError('Engineer not found'));
+    }
+
+    const overlapping = await findOverlappingTimeOff(engineer._id, req.body.startDate, req.body.endDate);
+    if (overlapping) {
+      return next(overlapError(overlapping));
+    }
+
+    const timeOff = new TimeOff({
+      engineerId: engineer._id,
+      type: req.body.type,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      percentage: req.body.percentage,
+      reason: req.body.reason
+    });
+
+    await timeOff.save();
+    res.status(201).json(timeOff);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get time off requests
+router.get('/', auth, validateTimeOffQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const query = {};
+
+    // Engineers only see their own requests
+    if (!isReviewer(req.user)) {
+      query.engineerId = req.user._id;
+    } else if (req.query.engineerId) {
+      query.engineerId = req.query.engineerId;
+    }
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Filter by date range
+    if (req.query.startDate && req.query.endDate) {
+      query.startDate = { $lte: new Date(req.query.endDate) };
+      query.endDate = { $gte: new Date(req.query.startDate) };
+    }
+
+    const timeOff = await TimeOff.find(query)
+      .populate('engineerId', 'name email')
+      .populate('reviewedBy', 'name email')
+      .sort({ startDate: 1 });
+
+    res.json(timeOff);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve or reject a pending request
+const review = status => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const timeOff = await TimeOff.findById(req.params.id);
+
+    if (!timeOff) {
+      return next(new NotFoundError('Time off request not found'));
+    }
+
+    if (!await canReviewTimeOff(req.user, timeOff.engineerId)) {
+      return next(new ForbiddenError('Not authorized to review this request'));
+    }
+
+    if (timeOff.status !== 'pending') {
+      return next(new BadRequestError(`Time off request is already ${timeOff.status}`, { code: 'INVALID_STATUS_TRANSITION' }));
+    }
+
+    if (status === 'approved') {
+      const overlapping = await findOverlappingTimeOff(timeOff.engineerId, timeOff.startDate, timeOff.endDate, timeOff._id);
+      if (overlapping) {
+        return next(overlapError(overlapping));
+      }
+    }
+
+    timeOff.status = status;
+    timeOff.reviewedBy = req.user._id;
+    timeOff.reviewedAt = new Date();
+    timeOff.reviewComment = req.body.comment;
+    await timeOff.save();
+
+    // Approved leave can push existing assignments over the engineer's capacity
+    if (status === 'approved') {
+      const { maxCapacity, periods } = await findOverallocatedPeriods(
+        timeOff.engineerId,
+        timeOff.startDate,
+        timeOff.endDate
+      );
+      if (periods.length) {
+        publish('engineer.overallocated', {
+          engineerId: timeOff.engineerId,
+          maxCapacity,
+          periods,
+          timeOffId: timeOff._id
+        }, { actor: req.user });
+      }
+    }
+
+    res.json(timeOff);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve time off
+router.patch('/:id/approve', auth, authorize(['manager', 'admin']), validateReview, review('approved'));
+
+// Reject time off
+router.patch('/:id/reject', auth, authorize(['manager', 'admin']), validateReview, review('rejected'));
+
+// Cancel time off
+router.patch('/:id/cancel', auth, async (req, res, next) => {
+  try {
+    const timeOff = await TimeOff.findById(req.params.id);
+
+    if (!timeOff) {
+      return next(new NotFoundError('Time off request not found'));
+    }
+
+    // Engineers cancel their own leave; anyone else needs to be able to review it
+    const isOwner = timeOff.engineerId.toString() === req.user._id.toString();
+    if (!isOwner && !await canReviewTimeOff(req.user, timeOff.engineerId)) {
+      return next(new ForbiddenError('Not authorized to cancel this request'));
+    }
+
+    if (!['pending', 'approved'].includes(timeOff.status)) {
+      return next(new BadRequestError(`Time off request is already ${timeOff.status}`, { code: 'INVALID_STATUS_TRANSITION' }));
+    }
+
+    timeOff.status = 'cancelled';
+    await timeOff.save();
+
+    res.json(timeOff);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
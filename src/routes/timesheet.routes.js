@@ -0,0 +1,294 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TimesheetEntry = require('../models/timesheetEntry.model');
+const Assignment = require('../models/assignment.model');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const { PLANNED_STATUSES, entryDate, entryWithinAssignment, findOverlappingEntry } = require('../services/timesheet.service');
+const { parseListQuery, paginate } = require('../services/listQuery.service');
+const { accessibleProjectIds, canAccessProject } = require('../services/policy.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  ForbiddenError,
+  NotFoundError
+} = require('../services/errors.service');
+
+const router = express.Router();
+
+// Validation middleware
+const validateEntry = [
+  body('assignmentId').isMongoId(),
+  body('date').isISO8601(),
+  body('period').optional().isIn(TimesheetEntry.PERIODS),
+  body('hours').isFloat({ min: 0 }),
+  body('notes').optional().trim()
+];
+
+const validateEntryUpdate = [
+  body('hours').optional().isFloat({ min: 0 }),
+  body('notes').optional().trim()
+];
+
+const validateSubmit = [
+  body('startDate').isISO8601(),
+  body('endDate').isISO8601()
+];
+
+const validateReview = [
+  body('comment').optional().trim()
+];
+
+// Filters, sorting and field selection accepted by the timesheet list
+const timesheetListSpec = {
+  filters: {
+    engineerId: 'objectId',
+    projectId: 'objectId',
+    assignmentId: 'objectId',
+    status: TimesheetEntry.STATUSES,
+    startDate: 'date',
+    endDate: 'date'
+  },
+  sortable: {
+    date: 'date',
+    hours: 'number',
+    status: 'string',
+    createdAt: 'date'
+  },
+  fields: ['engineerId', 'assignmentId', 'projectId', 'period', 'date', 'hours', 'notes', 'status', 'submittedAt', 'reviewedBy', 'reviewedAt', 'reviewComment', 'createdAt', 'updatedAt'],
+  defaultSort: 'date'
+};
+
+const isOwner = (entry, user) => entry.engineerId.toString() === user._id.toString();
+
+// Entries can be edited until they are submitted, and again after a rejection
+const isEditable = entry => ['draft', 'rejected'].includes(entry.status);
+
+// Log hours against one of the engineer's own assignments
+router.post('/', auth, authorize(['engineer']), validateEntry, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const assignment = await Assignment.findOne({
+      _id: req.body.assignmentId,
+      engineerId: req.user._id
+    });
+
+    if (!assignment) {
+      return next(new NotFoundError('Assignment not found'));
+    }
+
+    if (!PLANNED_STATUSES.includes(assignment.status)) {
+      return next(new BadRequestError(`Cannot log hours on a ${assignment.status} assignment`));
+    }
+
+    const entry = new TimesheetEntry({
+      engineerId: req.user._id,
+      assignmentId: assignment._id,
+      projectId: assignment.projectId,
+      period: req.body.period,
+      date: entryDate(req.body.date),
+      hours: req.body.hours,
+      notes: req.body.notes
+    });
+
+    if (!entryWithinAssignment(entry, assignment)) {
+      return next(new BadRequestError('Date is outside the assignment'));
+    }
+
+    // Daily and weekly entries must not cover the same days, or the hours count twice
+    if (await findOverlappingEntry(entry)) {
+      return next(new BadRequestError('Hours are already logged for this assignment and date', { code: 'DUPLICATE_ENTRY' }));
+    }
+
+    await entry.save();
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new BadRequestError('Hours are already logged for this assignment and date', { code: 'DUPLICATE_ENTRY' }));
+    }
+    next(error);
+  }
+});
+
+// Get timesheet entries: engineers see their own, managers those on projects they can read
+router.get('/', auth, async (req, res, next) => {
+  try {
+    const options = parseListQuery(req.query, timesheetListSpec);
+    const { filters } = options;
+    const query = {};
+
+    if (req.user.role === 'engineer') {
+      query.engineerId = req.user._id;
+    } else if (filters.engineerId) {
+      query.engineerId = filters.engineerId;
+    }
+
+    if (req.user.role === 'manager') {
+      query.projectId = { $in: await accessibleProjectIds(req.user) };
+    }
+    if (filters.projectId) {
+      query.projectId = query.projectId
+        ? { $in: query.projectId.$in.filter(id => id.equals(filters.projectId)) }
+        : filters.projectId;
+    }
+
+    // Filter by assignment
+    if (filters.assignmentId) {
+      query.assignmentId = filters.assignmentId;
+    }
+
+    // Filter by status
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    // Filter by date range
+    if (filters.startDate || filters.endDate) {
+      query.date = {};
+      if (filters.startDate) {
+        query.date.$gte = entryDate(filters.startDate);
+      }
+      if (filters.endDate) {
+        query.date.$lte = entryDate(filters.endDate);
+      }
+    }
+
+    const entries = await paginate(TimesheetEntry, query, options, {
+      populate: [
+        ['engineerId', 'name email'],
+        ['projectId', 'name'],
+        ['assignmentId', 'role allocationPercentage startDate endDate']
+      ]
+    });
+
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submit the engineer's draft and rejected entries in a date range for approval
+router.post('/submit', auth, authorize(['engineer']), validateSubmit, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const result = await TimesheetEntry.updateMany(
+      {
+        engineerId: req.user._id,
+        status: { $in: ['draft', 'rejected'] },
+        date: { $gte: entryDate(req.body.startDate), $lte: entryDate(req.body.endDate) }
+      },
+      { $set: { status: 'submitted', submittedAt: new Date() } }
+    );
+
+    res.json({ submitted: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a draft or rejected entry
+router.patch('/:id', auth, authorize(['engineer']), validateEntryUpdate, async (req, res, next) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['hours', 'notes'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return next(new BadRequestError('Invalid updates', { code: 'INVALID_UPDATES' }));
+  }
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const entry = await TimesheetEntry.findById(req.params.id);
+    if (!entry || !isOwner(entry, req.user)) {
+      return next(new NotFoundError('Timesheet entry not found'));
+    }
+
+    if (!isEditable(entry)) {
+      return next(new BadRequestError(`Timesheet entry is already ${entry.status}`, { code: 'INVALID_STATUS_TRANSITION' }));
+    }
+
+    updates.forEach(update => entry[update] = req.body[update]);
+    entry.status = 'draft';
+    await entry.save();
+
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a draft or rejected entry
+router.delete('/:id', auth, authorize(['engineer']), async (req, res, next) => {
+  try {
+    const entry = await TimesheetEntry.findById(req.params.id);
+    if (!entry || !isOwner(entry, req.user)) {
+      return next(new NotFoundError('Timesheet entry not found'));
+    }
+
+    if (!isEditable(entry)) {
+      return next(new BadRequestError(`Timesheet entry is already ${entry.status}`, { code: 'INVALID_STATUS_TRANSITION' }));
+    }
+
+    await entry.deleteOne();
+    res.json({ message: 'Timesheet entry deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve or reject a submitted entry; managers review entries on projects they can manage
+const review = status => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const entry = await TimesheetEntry.findById(req.params.id).populate('projectId', 'managerId members');
+    if (!entry) {
+      return next(new NotFoundError('Timesheet entry not found'));
+    }
+
+    // Entries of a deleted project have nobody left to review them
+    if (!entry.projectId) {
+      return next(new NotFoundError('Project not found'));
+    }
+
+    if (!(await canAccessProject(req.user, entry.projectId, 'manage'))) {
+      return next(new ForbiddenError('Not authorized to review this timesheet entry'));
+    }
+
+    if (entry.status !== 'submitted') {
+      return next(new BadRequestError(`Timesheet entry is ${entry.status}, not submitted`, { code: 'INVALID_STATUS_TRANSITION' }));
+    }
+
+    entry.status = status;
+    entry.reviewedBy = req.user._id;
+    entry.reviewedAt = new Date();
+    entry.reviewComment = req.body.comment;
+    await entry.save();
+
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve timesheet entry
+router.patch('/:id/approve', auth, authorize(['manager', 'admin']), validateReview, review('approved'));
+
+// Reject timesheet entry
+router.patch('/:id/reject', auth, authorize(['manager', 'admin']), validateReview, review('rejected'));
+
+module.exports = router;
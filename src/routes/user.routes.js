@@ -0,0 +1,308 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/user.model');
+const LoginFailure = require('../models/loginFailure.model');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const { revokeAllSessions } = require('../services/token.service');
+const { createInvite } = require('../services/invite.service');
+const { importUsers } = require('../services/import.service');
+const { publish } = require('../services/events.service');
+const { escapeRegex } = require('../services/listQuery.service');
+const { unlockAccount } = require('../services/lockout.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../services/errors.service');
+
+const router = express.Router();
+
+const ROLES = ['engineer', 'manager', 'admin'];
+
+// Validation middleware
+const validateUser = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 6 }),
+  body('name').trim().notEmpty(),
+  body('role').isIn(ROLES),
+  body('skills').optional().isArray(),
+  body('seniority').optional().isIn(['junior', 'mid', 'senior']),
+  body('maxCapacity').optional().isInt({ min: 0, max: 100 }),
+  body('department').optional().trim().notEmpty()
+];
+
+const validateRoleChange = [
+  body('role').isIn(ROLES),
+  body('seniority').optional().isIn(['junior', 'mid', 'senior']),
+  body('maxCapacity').optional().isInt({ min: 0, max: 100 }),
+  body('department').optional().trim().notEmpty()
+];
+
+const validateInvite = [
+  body('email').isEmail().normalizeEmail(),
+  body('role').isIn(ROLES)
+];
+
+const validateLoginFailureQuery = [
+  query('email').optional().isEmail().normalizeEmail(),
+  query('userId').optional().isMongoId(),
+  query('ip').optional().trim().notEmpty(),
+  query('reason').optional().isIn(LoginFailure.REASONS),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+];
+
+// Every route in this router is admin-only
+router.use(auth, authorize(['admin']));
+
+// Get all users
+router.get('/', async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Filter by role
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
+
+    // Filter by active state
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    // Add search functionality
+    if (req.query.search) {
+      query.$or = [
+        { name: { $regex: escapeRegex(String(req.query.search)), $options: 'i' } },
+        { email: { $regex: escapeRegex(String(req.query.search)), $options: 'i' } }
+      ];
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ name: 1 });
+
+    res.json(users);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create user
+router.post('/', validateUser, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const { email, password, name, role, skills, seniority, maxCapacity, department } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return next(new BadRequestError('User already exists', { code: 'EMAIL_TAKEN' }));
+    }
+
+    const user = new User({
+      email,
+      password,
+      name,
+      role,
+      skills: skills || [],
+      seniority: role === 'engineer' ? seniority : undefined,
+      maxCapacity: role === 'engineer' ? maxCapacity : undefined,
+      department: role === 'engineer' ? department : undefined
+    });
+
+    await user.save();
+    publish('user.created', { user: user.toPublicJSON() }, { actor: req.user });
+    res.status(201).json(user.toPublicJSON());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import users from CSV
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res, next) => {
+  try {
+    const result = await importUsers(req.body, {
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    const status = !result.valid ? 400 : result.dryRun ? 200 : 201;
+    res.status(status).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invite a user to register
+router.post('/invites', validateInvite, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const existingUser = await User.findOne({ email: req.body.email });
+    if (existingUser) {
+      return next(new BadRequestError('User already exists', { code: 'EMAIL_TAKEN' }));
+    }
+
+    const invite = await createInvite({
+      email: req.body.email,
+      role: req.body.role,
+      invitedBy: req.user
+    });
+
+    res.status(201).json({
+      _id: invite._id,
+      email: invite.email,
+      role: invite.role,
+      expiresAt: invite.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get failed sign-in attempts, newest first
+router.get('/login-failures', validateLoginFailureQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const filter = {};
+    ['email', 'userId', 'ip', 'reason'].forEach(field => {
+      if (req.query[field]) {
+        filter[field] = req.query[field];
+      }
+    });
+
+    // Filter by date range
+    if (req.query.from || req.query.to) {
+      filter.occurredAt = {};
+      if (req.query.from) {
+        filter.occurredAt.$gte = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        filter.occurredAt.$lte = new Date(req.query.to);
+      }
+    }
+
+    const failures = await LoginFailure.find(filter)
+      .sort({ occurredAt: -1 })
+      .limit(req.query.limit ? parseInt(req.query.limit) : 100);
+
+    res.json(failures);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unlock an account locked after failed sign-in attempts
+router.patch('/:id/unlock', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    await unlockAccount(user);
+    publish('user.updated', { user: user.toPublicJSON() }, { actor: req.user });
+
+    res.json(user.toPublicJSON());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate user
+router.patch('/:id/deactivate', async (req, res, next) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return next(new BadRequestError('You cannot deactivate your own account'));
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    await revokeAllSessions(user._id);
+    publish('user.updated', { user: user.toPublicJSON() }, { actor: req.user });
+
+    res.json(user.toPublicJSON());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reactivate user
+router.patch('/:id/reactivate', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+    publish('user.updated', { user: user.toPublicJSON() }, { actor: req.user });
+
+    res.json(user.toPublicJSON());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change user role
+router.patch('/:id/role', validateRoleChange, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return next(new BadRequestError('You cannot change your own role'));
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    const { role, seniority, maxCapacity, department } = req.body;
+    user.role = role;
+
+    // Engineers need seniority and department; other roles drop engineer-only fields
+    if (role === 'engineer') {
+      user.seniority = seniority || user.seniority;
+      user.maxCapacity = maxCapacity ?? user.maxCapacity;
+      user.department = department || user.department;
+    } else {
+      user.seniority = undefined;
+      user.department = undefined;
+    }
+
+    await user.save();
+    publish('user.updated', { user: user.toPublicJSON() }, { actor: req.user });
+    res.json(user.toPublicJSON());
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(new BadRequestError('Engineers require seniority and department', { code: 'VALIDATION_ERROR' }));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
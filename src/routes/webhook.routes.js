@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const { auth, authorize } = require('../middleware/auth.middleware');
+const { EVENT_TYPES } = require('../services/events.service');
+const { generateSecret, retryDelivery } = require('../services/webhook.service');
+const {
+  BadRequestError,
+  RequestValidationError,
+  NotFoundError
+} = require('../services/errors.service');
+
+const router = express.Router();
+
+// Validation middleware
+const validateWebhook = [
+  body('url').isURL({ protocols: ['http', 'https'], require_tld: false }),
+  body('events').isArray({ min: 1 }),
+  body('events.*').isIn([...EVENT_TYPES, '*']),
+  body('description').optional().trim(),
+  body('secret').optional().isLength({ min: 16 })
+];
+
+const validateWebhookUpdate = [
+  body('url').optional().isURL({ protocols: ['http', 'https'], require_tld: false }),
+  body('events').optional().isArray({ min: 1 }),
+  body('events.*').isIn([...EVENT_TYPES, '*']),
+  body('description').optional().trim(),
+  body('isActive').optional().isBoolean()
+];
+
+const validateDeliveryQuery = [
+  query('webhookId').optional().isMongoId(),
+  query('status').optional().isIn(['pending', 'processing', 'succeeded', 'failed']),
+  query('event').optional().isIn([...EVENT_TYPES, 'webhook.ping']),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+];
+
+// Every route in this router is admin-only
+router.use(auth, authorize(['admin']));
+
+// Get all webhooks
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+    res.json(webhooks);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create webhook. The signing secret is only returned here and on rotation.
+router.post('/', validateWebhook, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const webhook = new Webhook({
+      url: req.body.url,
+      events: req.body.events,
+      description: req.body.description,
+      secret: req.body.secret || generateSecret(),
+      createdBy: req.user._id
+    });
+
+    await webhook.save();
+    res.status(201).json({ ...webhook.toObject(), secret: webhook.secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get delivery log
+router.get('/deliveries', validateDeliveryQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const query = {};
+
+    if (req.query.webhookId) {
+      query.webhookId = req.query.webhookId;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.event) {
+      query.event = req.query.event;
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .populate('webhookId', 'url description')
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit ? parseInt(req.query.limit) : 100);
+
+    res.json(deliveries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Retry a delivery now
+router.post('/deliveries/:id/retry', async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id);
+
+    if (!delivery) {
+      return next(new NotFoundError('Delivery not found'));
+    }
+
+    if (delivery.status === 'processing') {
+      return next(new BadRequestError('Delivery is being processed'));
+    }
+
+    res.json(await retryDelivery(delivery));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update webhook
+router.patch('/:id', validateWebhookUpdate, async (req, res, next) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['url', 'events', 'description', 'isActive'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return next(new BadRequestError('Invalid updates', { code: 'INVALID_UPDATES' }));
+  }
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new RequestValidationError(errors.array()));
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return next(new NotFoundError('Webhook not found'));
+    }
+
+    updates.forEach(update => webhook[update] = req.body[update]);
+    await webhook.save();
+    res.json(webhook);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rotate the signing secret
+router.post('/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return next(new NotFoundError('Webhook not found'));
+    }
+
+    webhook.secret = generateSecret();
+    await webhook.save();
+    res.json({ ...webhook.toObject(), secret: webhook.secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Queue a test delivery
+router.post('/:id/ping', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return next(new NotFoundError('Webhook not found'));
+    }
+
+    const [delivery] = await WebhookDelivery.create([{
+      webhookId: webhook._id,
+      event: 'webhook.ping',
+      payload: {
+        event: 'webhook.ping',
+        occurredAt: new Date(),
+        actorId: req.user._id,
+        data: { webhookId: webhook._id }
+      }
+    }]);
+
+    res.status(202).json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete webhook
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return next(new NotFoundError('Webhook not found'));
+    }
+
+    await webhook.deleteOne();
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
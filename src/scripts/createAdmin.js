@@ -0,0 +1,37 @@
+// Create the first admin account, or promote an existing user to admin.
+// Usage: npm run create-admin -- <email> <name> <password>
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/user.model');
+
+dotenv.config();
+
+const createAdmin = async () => {
+  const [email, name, password] = process.argv.slice(2);
+  if (!email || !name || !password) {
+    console.error('Usage: npm run create-admin -- <email> <name> <password>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.DATABASE_URI);
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+  if (user) {
+    user.role = 'admin';
+    user.seniority = undefined;
+    user.department = undefined;
+    user.isActive = true;
+  } else {
+    user = new User({ email, name, password, role: 'admin' });
+  }
+
+  await user.save();
+  console.log(`Admin ready: ${user.email}`);
+};
+
+createAdmin()
+  .catch(error => {
+    console.error('Failed to create admin:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,100 @@
+// Convert free-text skills into catalogue references.
+// Every distinct skill string on users, projects and phases becomes a catalogue entry
+// (matched case-insensitively against existing names and aliases). Engineers get level 3
+// for migrated skills and projects a minimum level of 1. Safe to run more than once.
+// Usage: npm run migrate:skills
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Skill = require('../models/skill.model');
+const { MIN_SKILL_LEVEL } = require('../models/skillRef.schema');
+
+dotenv.config();
+
+const MIGRATED_LEVEL = 3;
+
+const isLegacy = list => Array.isArray(list) && list.some(entry => typeof entry === 'string');
+
+// Find or create the catalogue entry for a free-text skill name
+const skillCache = new Map();
+const findOrCreateSkill = async name => {
+  const key = Skill.normalizeName(name);
+  if (!skillCache.has(key)) {
+    let skill = await Skill.findOne({ $or: [{ key }, { aliases: key }] });
+    if (!skill) {
+      skill = await Skill.create({ name: name.trim() });
+    }
+    skillCache.set(key, skill);
+  }
+  return skillCache.get(key);
+};
+
+// Map a legacy list to reference entries, dropping blanks and duplicates
+const convert = async (list, levelField, level) => {
+  const entries = new Map();
+  for (const value of list) {
+    if (typeof value !== 'string') {
+      entries.set(value.skill.toString(), value);
+      continue;
+    }
+    if (!value.trim()) {
+      continue;
+    }
+    const skill = await findOrCreateSkill(value);
+    if (!entries.has(skill._id.toString())) {
+      entries.set(skill._id.toString(), { skill: skill._id, name: skill.name, [levelField]: level });
+    }
+  }
+  return Array.from(entries.values());
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.DATABASE_URI);
+
+  // Read through the raw collections: the legacy string arrays no longer fit the schemas
+  const users = mongoose.connection.collection('users');
+  const projects = mongoose.connection.collection('projects');
+  let migratedUsers = 0;
+  let migratedProjects = 0;
+
+  for await (const user of users.find({ skills: { $type: 'string' } })) {
+    await users.updateOne(
+      { _id: user._id },
+      { $set: { skills: await convert(user.skills, 'level', MIGRATED_LEVEL) } }
+    );
+    migratedUsers++;
+  }
+
+  const legacyProjects = projects.find({
+    $or: [
+      { requiredSkills: { $type: 'string' } },
+      { 'phases.requiredSkills': { $type: 'string' } }
+    ]
+  });
+
+  for await (const project of legacyProjects) {
+    const update = {};
+    if (isLegacy(project.requiredSkills)) {
+      update.requiredSkills = await convert(project.requiredSkills, 'minLevel', MIN_SKILL_LEVEL);
+    }
+    if ((project.phases || []).some(phase => isLegacy(phase.requiredSkills))) {
+      update.phases = [];
+      for (const phase of project.phases) {
+        update.phases.push({
+          ...phase,
+          requiredSkills: await convert(phase.requiredSkills || [], 'minLevel', MIN_SKILL_LEVEL)
+        });
+      }
+    }
+    await projects.updateOne({ _id: project._id }, { $set: update });
+    migratedProjects++;
+  }
+
+  console.log(`Migrated ${migratedUsers} users and ${migratedProjects} projects; catalogue has ${await Skill.countDocuments()} skills`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Skill migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
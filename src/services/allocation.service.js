@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const TimeOff = require('../models/timeOff.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_CAPACITY = 100;
+
+// How assignments overlapping approved leave are treated: 'warn' (default) or 'fail'
+const leaveOverlapPolicy = () => (process.env.LEAVE_OVERLAP_POLICY === 'fail' ? 'fail' : 'warn');
+
+// Allocations are tracked per calendar day (UTC), inclusive of both start and end dates
+const toDay = date => Math.floor(new Date(date).getTime() / DAY_MS);
+const fromDay = day => new Date(day * DAY_MS);
+
+const summarizeTimeOff = timeOff => ({
+  _id: timeOff._id,
+  type: timeOff.type,
+  percentage: timeOff.percentage,
+  startDate: timeOff.startDate,
+  endDate: timeOff.endDate
+});
+
+const summarizeAssignment = assignment => ({
+  _id: assignment._id,
+  projectId: assignment.projectId,
+  allocationPercentage: assignment.allocationPercentage,
+  startDate: assignment.startDate,
+  endDate: assignment.endDate,
+  role: assignment.role,
+  status: assignment.status
+});
+
+// An assignment on a project the caller cannot read: only its share and dates
+const summarizeHiddenAssignment = assignment => ({
+  hidden: true,
+  allocationPercentage: assignment.allocationPercentage,
+  startDate: assignment.startDate,
+  endDate: assignment.endDate
+});
+
+// Sweep over item boundaries and return constant-load segments covering the range.
+// Items need startDate, endDate and a load; by default the load is allocationPercentage.
+const buildTimeline = (items, startDate, endDate, loadOf = item => item.allocationPercentage) => {
+  const rangeStart = toDay(startDate);
+  const rangeEnd = toDay(endDate) + 1;
+  const events = [];
+
+  items.forEach(item => {
+    const start = Math.max(toDay(item.startDate), rangeStart);
+    const end = Math.min(toDay(item.endDate) + 1, rangeEnd);
+    if (start < end) {
+      events.push({ day: start, delta: 1, item });
+      events.push({ day: end, delta: -1, item });
+    }
+  });
+
+  events.sort((a, b) => a.day - b.day || a.delta - b.delta);
+
+  const segments = [];
+  const active = new Set();
+  let load = 0;
+  let cursor = rangeStart;
+  let index = 0;
+
+  while (cursor < rangeEnd) {
+    while (index < events.length && events[index].day === cursor) {
+      const { delta, item } = events[index];
+      if (delta > 0) {
+        active.add(item);
+      } else {
+        active.delete(item);
+      }
+      load += delta * loadOf(item);
+      index++;
+    }
+
+    const next = index < events.length ? events[index].day : rangeEnd;
+    segments.push({
+      start: cursor,
+      end: next,
+      load,
+      items: Array.from(active)
+    });
+    cursor = next;
+  }
+
+  return segments;
+};
+
+// Approved leave for an engineer overlapping the range
+const findApprovedTimeOff = (engineerId, startDate, endDate, session = null) => TimeOff.find({
+  engineerId,
+  status: 'approved',
+  startDate: { $lte: endDate },
+  endDate: { $gte: startDate }
+}).session(session);
+
+// Take the engineers' allocation locks inside a transaction. Concurrent transactions that
+// lock the same engineer hit a write conflict, so a capacity check cannot go stale before commit.
+const lockEngineers = async (engineerIds, session) => {
+  const ids = [...new Set(engineerIds.map(id => id.toString()))];
+  await mongoose.model('User').updateMany(
+    { _id: { $in: ids } },
+    { $inc: { allocationVersion: 1 } },
+    { session }
+  );
+};
+
+// Compute peak load for an engineer over a date range and check it against their maxCapacity.
+// Approved time off removes its share of maxCapacity for the days it covers, unless
+// countTimeOff is false: staffing checks leave that to leaveOverlapPolicy and only look at
+// assignments, while overlapping leave is still reported in timeOff.
+// When allocationPercentage is given, the range is checked as if that allocation were added.
+// additionalAssignments are not-yet-saved assignments (e.g. earlier rows of an import) that
+// count towards the load alongside the stored ones; together with excludeAssignmentIds they
+// let a draft scenario replace stored assignments. Reads use session when one is given.
+const checkAllocation = async (engineerId, startDate, endDate, options = {}) => {
+  const {
+    allocationPercentage = 0,
+    excludeAssignmentId,
+    excludeAssignmentIds = [],
+    additionalAssignments = [],
+    maxCapacity: knownMaxCapacity,
+    countTimeOff = true,
+    session = null
+  } = options;
+
+  const Assignment = mongoose.model('Assignment');
+  const User = mongoose.model('User');
+
+  let maxCapacity = knownMaxCapacity;
+  if (maxCapacity === undefined) {
+    const engineer = await User.findById(engineerId).select('maxCapacity').session(session);
+    maxCapacity = engineer?.maxCapacity ?? DEFAULT_MAX_CAPACITY;
+  }
+
+  const query = {
+    engineerId,
+    status: { $nin: Assignment.nonReservingStatuses() },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  };
+  const excludedIds = [...excludeAssignmentIds, excludeAssignmentId].filter(Boolean);
+  if (excludedIds.length) {
+    query._id = { $nin: excludedIds };
+  }
+
+  const [storedAssignments, timeOff] = await Promise.all([
+    Assignment.find(query).session(session),
+    findApprovedTimeOff(engineerId, startDate, endDate, session)
+  ]);
+
+  const assignments = storedAssignments.concat(additionalAssignments.filter(assignment =>
+    assignment.engineerId.toString() === engineerId.toString() &&
+    !Assignment.nonReservingStatuses().includes(assignment.status)
+  ));
+
+  const isTimeOff = item => item instanceof TimeOff;
+  const loadOf = item => {
+    if (!isTimeOff(item)) {
+      return item.allocationPercentage;
+    }
+    return countTimeOff ? maxCapacity * item.percentage / 100 : 0;
+  };
+
+  const timeline = buildTimeline([...assignments, ...timeOff], startDate, endDate, loadOf)
+    .map(segment => {
+      const segmentAssignments = segment.items.filter(item => !isTimeOff(item));
+      const segmentTimeOff = segment.items.filter(isTimeOff);
+      const allocation = segmentAssignments.reduce((sum, item) => sum + item.allocationPercentage, 0);
+      return {
+        ...segment,
+        allocation,
+        unavailable: segment.load - allocation,
+        assignments: segmentAssignments,
+        timeOff: segmentTimeOff
+      };
+    });
+
+  // With no requested allocation, a range conflicts only where the engineer is fully booked
+  const exceedsCapacity = load => (allocationPercentage
+    ? load + allocationPercentage > maxCapacity
+    : load >= maxCapacity);
+
+  const peakAllocation = timeline.reduce((peak, segment) => Math.max(peak, segment.allocation), 0);
+  const peakLoad = timeline.reduce((peak, segment) => Math.max(peak, segment.load), 0);
+
+  const segments = timeline.map(segment => ({
+    startDate: fromDay(segment.start),
+    endDate: fromDay(segment.end - 1),
+    allocation: segment.allocation,
+    unavailable: segment.unavailable,
+    freeCapacity: Math.max(0, maxCapacity - segment.load),
+    assignmentIds: segment.assignments.map(assignment => assignment._id),
+    timeOffIds: segment.timeOff.map(entry => entry._id)
+  }));
+
+  const conflicts = timeline
+    .filter(segment => exceedsCapacity(segment.load))
+    .map(segment => ({
+      startDate: fromDay(segment.start),
+      endDate: fromDay(segment.end - 1),
+      allocation: segment.allocation,
+      unavailable: segment.unavailable,
+      assignments: segment.assignments.map(summarizeAssignment),
+      timeOff: segment.timeOff.map(summarizeTimeOff)
+    }));
+
+  return {
+    isAvailable: conflicts.length === 0,
+    maxCapacity,
+    requestedAllocation: allocationPercentage,
+    peakAllocation,
+    lowestFreePercentage: Math.max(0, maxCapacity - peakLoad),
+    segments,
+    conflicts,
+    timeOff: timeOff.map(summarizeTimeOff)
+  };
+};
+
+// Availability as seen by a caller who can read only some of the assignments (canRead)
+const maskAvailability = (availability, canRead) => ({
+  ...availability,
+  conflicts: availability.conflicts.map(conflict => ({
+    ...conflict,
+    assignments: conflict.assignments.map(assignment =>
+      (canRead(assignment) ? assignment : summarizeHiddenAssignment(assignment)))
+  }))
+});
+
+// Periods where assignments plus approved leave exceed the engineer's maxCapacity
+const findOverallocatedPeriods = async (engineerId, startDate, endDate, options) => {
+  const availability = await checkAllocation(engineerId, startDate, endDate, options);
+  return {
+    maxCapacity: availability.maxCapacity,
+    peakAllocation: availability.peakAllocation,
+    periods: availability.segments.filter(segment =>
+      segment.allocation + segment.unavailable > availability.maxCapacity
+    )
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_MAX_CAPACITY,
+  leaveOverlapPolicy,
+  toDay,
+  fromDay,
+  buildTimeline,
+  summarizeHiddenAssignment,
+  findApprovedTimeOff,
+  lockEngineers,
+  checkAllocation,
+  maskAvailability,
+  findOverallocatedPeriods
+};
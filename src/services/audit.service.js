@@ -0,0 +1,101 @@
+const AuditLog = require('../models/auditLog.model');
+const { accessibleProjectIds } = require('./policy.service');
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Plain JSON copy of a document with populated refs collapsed back to ids
+const snapshot = doc => {
+  if (!doc) {
+    return {};
+  }
+  const value = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Field-level diff between two snapshots
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = {};
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = {
+        before: before[field] ?? null,
+        after: after[field] ?? null
+      };
+    }
+  });
+
+  return changes;
+};
+
+// Projects an entry belongs to, from the entity id or the assignment's project before and after
+const projectIdsOf = (entityType, entityId, before, after) => (entityType === 'Project'
+  ? [entityId]
+  : [...new Set([before.projectId, after.projectId].filter(Boolean))]);
+
+// Append an audit entry for a mutation. Pass the document state before and/or after it.
+const recordAudit = ({ actor, action, entityType, entityId, before, after }) => {
+  const beforeSnapshot = snapshot(before);
+  const afterSnapshot = snapshot(after);
+
+  return AuditLog.create({
+    actorId: actor._id,
+    actorRole: actor.role,
+    action,
+    entityType,
+    entityId,
+    projectIds: projectIdsOf(entityType, entityId, beforeSnapshot, afterSnapshot),
+    changes: diff(beforeSnapshot, afterSnapshot)
+  });
+};
+
+// Projects whose audit entries the user may read: those they can read now, plus deleted ones
+// they owned or shared as of the deletion. null for admins, who read everything.
+const auditableProjectIds = async user => {
+  const projectIds = await accessibleProjectIds(user);
+  if (!projectIds) {
+    return null;
+  }
+
+  const userId = user._id.toString();
+  const deleted = await AuditLog.find({
+    entityType: 'Project',
+    action: 'delete',
+    $or: [
+      { 'changes.managerId.before': userId },
+      { 'changes.members.before.userId': userId }
+    ]
+  }).distinct('entityId');
+
+  return [...projectIds, ...deleted];
+};
+
+// Project ids of an entry, falling back to the recorded projectId for entries written before
+// projectIds was
+const entryProjectIds = entry => {
+  if (entry.projectIds?.length) {
+    return entry.projectIds.map(id => id.toString());
+  }
+  if (entry.entityType === 'Project') {
+    return [entry.entityId.toString()];
+  }
+  const change = entry.changes?.projectId;
+  return [change?.before, change?.after].filter(Boolean).map(String);
+};
+
+const getHistory = (entityType, entityId) => AuditLog.find({ entityType, entityId })
+  .populate('actorId', 'name email')
+  .sort({ timestamp: -1 });
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit,
+  auditableProjectIds,
+  entryProjectIds,
+  getHistory
+};
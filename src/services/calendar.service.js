@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../models/calendarFeed.model');
+const { toDay, fromDay } = require('./allocation.service');
+
+const PRODUCT_ID = '-//ERM System//Assignments//EN';
+const UID_DOMAIN = 'erm-system';
+
+// Calendar apps show proposals as tentative and drop declined assignments
+const EVENT_STATUS = {
+  proposed: 'TENTATIVE',
+  declined: 'CANCELLED'
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create or rotate the feed token for an engineer or project; returns the raw token
+const issueFeedToken = async (scope, resourceId, createdBy) => {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  await CalendarFeed.findOneAndUpdate(
+    { scope, resourceId },
+    { tokenHash: hashToken(token), createdBy: createdBy._id },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return token;
+};
+
+const revokeFeedToken = (scope, resourceId) => CalendarFeed.deleteOne({ scope, resourceId });
+
+// True when the token is the current feed token for the resource
+const verifyFeedToken = async (scope, resourceId, token) => {
+  if (!token) {
+    return false;
+  }
+  const feed = await CalendarFeed.findOne({ scope, resourceId, tokenHash: hashToken(token) });
+  return Boolean(feed);
+};
+
+const escapeText = value => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+const formatDateTime = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded with CRLF followed by a space (RFC 5545 3.1)
+const foldLine = line => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// One all-day event per assignment. The UID is derived from the assignment id and the
+// SEQUENCE grows with every update, so calendar apps treat edits as changes to the same event.
+const buildEvent = (assignment, summary) => {
+  const project = assignment.projectId || {};
+  const updatedAt = assignment.updatedAt || assignment.createdAt || new Date();
+  const createdAt = assignment.createdAt || updatedAt;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:assignment-${assignment._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(updatedAt)}`,
+    `LAST-MODIFIED:${formatDateTime(updatedAt)}`,
+    `SEQUENCE:${Math.max(0, Math.floor((updatedAt - createdAt) / 1000))}`,
+    `DTSTART;VALUE=DATE:${formatDate(assignment.startDate)}`,
+    `DTEND;VALUE=DATE:${formatDate(fromDay(toDay(assignment.endDate) + 1))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${EVENT_STATUS[assignment.status] || 'CONFIRMED'}`,
+    `DESCRIPTION:${escapeText([
+      `Project: ${project.name || ''}`,
+      `Role: ${assignment.role}`,
+      `Allocation: ${assignment.allocationPercentage}%`
+    ].join('\n'))}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+};
+
+// Build an iCalendar document. Assignments must have projectId (and for project feeds,
+// engineerId) populated.
+const buildCalendar = (name, assignments, summarize) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  'X-PUBLISHED-TTL:PT1H',
+  ...assignments.flatMap(assignment => buildEvent(assignment, summarize(assignment))),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+const sendCalendar = (res, fileName, calendar) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${fileName}"`);
+  res.send(calendar);
+};
+
+module.exports = {
+  issueFeedToken,
+  revokeFeedToken,
+  verifyFeedToken,
+  buildCalendar,
+  sendCalendar
+};
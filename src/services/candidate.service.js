@@ -0,0 +1,105 @@
+const User = require('../models/user.model');
+const Assignment = require('../models/assignment.model');
+
+const SENIORITY_RANK = { junior: 1, mid: 2, senior: 3 };
+const MAX_SENIORITY_RANK = 3;
+
+// Relative weight of each factor in the overall candidate score
+const WEIGHTS = {
+  skills: 0.6,
+  capacity: 0.3,
+  seniority: 0.1
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// Split the required skills into matched and missing for a set of engineer skills.
+// A skill held below the required minLevel counts as missing and reports the level held.
+const matchSkills = (engineerSkills = [], requiredSkills = []) => {
+  const levels = new Map();
+  engineerSkills.forEach(entry => {
+    const key = entry.skill.toString();
+    levels.set(key, Math.max(levels.get(key) || 0, entry.level));
+  });
+
+  const matchedSkills = [];
+  const missingSkills = [];
+
+  requiredSkills.forEach(required => {
+    const level = levels.get(required.skill.toString());
+    if (level !== undefined && level >= required.minLevel) {
+      matchedSkills.push({ name: required.name, minLevel: required.minLevel, level });
+    } else {
+      missingSkills.push({ name: required.name, minLevel: required.minLevel, level: level ?? null });
+    }
+  });
+
+  return { matchedSkills, missingSkills };
+};
+
+// Score a single engineer against a project's requirements and their availability
+const scoreCandidate = (engineer, requiredSkills, availability) => {
+  const { matchedSkills, missingSkills } = matchSkills(engineer.skills, requiredSkills);
+  const skillCoverage = requiredSkills.length
+    ? matchedSkills.length / requiredSkills.length
+    : 1;
+
+  const { lowestFreePercentage } = availability;
+
+  const seniorityScore = (SENIORITY_RANK[engineer.seniority] || 0) / MAX_SENIORITY_RANK;
+  const capacityScore = lowestFreePercentage / 100;
+
+  const score = skillCoverage * WEIGHTS.skills
+    + capacityScore * WEIGHTS.capacity
+    + seniorityScore * WEIGHTS.seniority;
+
+  return {
+    engineer: {
+      _id: engineer._id,
+      name: engineer.name,
+      email: engineer.email,
+      seniority: engineer.seniority,
+      department: engineer.department,
+      skills: engineer.skills
+    },
+    score: round(score),
+    breakdown: {
+      skillCoverage: round(skillCoverage),
+      capacity: round(capacityScore),
+      seniority: round(seniorityScore)
+    },
+    matchedSkills,
+    missingSkills,
+    lowestFreePercentage,
+    isAvailable: lowestFreePercentage > 0
+  };
+};
+
+// Rank every engineer for a project by skill coverage, free capacity and seniority
+const rankCandidates = async (project, { limit } = {}) => {
+  const engineers = await User.find({ role: 'engineer' }).select('-password');
+  const requiredSkills = project.requiredSkills || [];
+
+  const candidates = await Promise.all(engineers.map(async engineer => {
+    const availability = await Assignment.checkAvailability(
+      engineer._id,
+      project.startDate,
+      project.endDate,
+      { maxCapacity: engineer.maxCapacity }
+    );
+    return scoreCandidate(engineer, requiredSkills, availability);
+  }));
+
+  candidates.sort((a, b) =>
+    b.score - a.score || a.engineer.name.localeCompare(b.engineer.name)
+  );
+
+  return limit ? candidates.slice(0, limit) : candidates;
+};
+
+module.exports = {
+  WEIGHTS,
+  matchSkills,
+  scoreCandidate,
+  rankCandidates
+};
@@ -0,0 +1,204 @@
+const Assignment = require('../models/assignment.model');
+const { findOverallocatedPeriods, summarizeHiddenAssignment } = require('./allocation.service');
+const { formatDate } = require('./csv.service');
+const { accessibleProjectIds } = require('./policy.service');
+
+const CONFLICT_TYPES = ['overallocation', 'outside_project_dates', 'completed_project'];
+
+const summarizeEngineer = engineer => ({
+  _id: engineer._id,
+  name: engineer.name,
+  email: engineer.email,
+  maxCapacity: engineer.maxCapacity
+});
+
+const summarizeProject = project => ({
+  _id: project._id,
+  name: project.name,
+  status: project.status,
+  startDate: project.startDate,
+  endDate: project.endDate
+});
+
+const summarizeAssignment = assignment => ({
+  _id: assignment._id,
+  projectId: assignment.projectId._id,
+  projectName: assignment.projectId.name,
+  allocationPercentage: assignment.allocationPercentage,
+  startDate: assignment.startDate,
+  endDate: assignment.endDate,
+  role: assignment.role,
+  status: assignment.status
+});
+
+// Periods where an engineer's assignments plus approved leave exceed maxCapacity.
+// The fix suggests cutting the excess from the largest readable assignment in the period.
+const findOverallocations = async (assignments, isVisible, isReadable) => {
+  const byEngineer = new Map();
+  assignments.forEach(assignment => {
+    const key = assignment.engineerId._id.toString();
+    if (!byEngineer.has(key)) {
+      byEngineer.set(key, []);
+    }
+    byEngineer.get(key).push(assignment);
+  });
+
+  const findings = [];
+
+  for (const engineerAssignments of byEngineer.values()) {
+    const engineer = engineerAssignments[0].engineerId;
+    const byId = new Map(engineerAssignments.map(assignment => [assignment._id.toString(), assignment]));
+    const startDate = new Date(Math.min(...engineerAssignments.map(assignment => assignment.startDate)));
+    const endDate = new Date(Math.max(...engineerAssignments.map(assignment => assignment.endDate)));
+
+    const { maxCapacity, periods } = await findOverallocatedPeriods(engineer._id, startDate, endDate, {
+      maxCapacity: engineer.maxCapacity
+    });
+
+    periods.forEach(period => {
+      const offending = period.assignmentIds
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean);
+      if (!offending.some(isVisible)) {
+        return;
+      }
+
+      const excess = period.allocation + period.unavailable - maxCapacity;
+      const largest = offending.filter(isReadable).reduce((max, assignment) =>
+        (assignment.allocationPercentage > max.allocationPercentage ? assignment : max));
+
+      findings.push({
+        type: 'overallocation',
+        engineer: summarizeEngineer(engineer),
+        period: {
+          startDate: period.startDate,
+          endDate: period.endDate,
+          allocation: period.allocation,
+          unavailable: period.unavailable,
+          maxCapacity,
+          excess
+        },
+        assignments: offending.map(assignment => (isReadable(assignment)
+          ? summarizeAssignment(assignment)
+          : summarizeHiddenAssignment(assignment))),
+        suggestedFix: {
+          action: 'reduce_allocation',
+          assignmentId: largest._id,
+          allocationPercentage: Math.max(0, largest.allocationPercentage - excess),
+          message: `Reduce ${largest.projectId.name} (${largest.role}) from ${largest.allocationPercentage}% to ` +
+            `${Math.max(0, largest.allocationPercentage - excess)}% between ${formatDate(period.startDate)} ` +
+            `and ${formatDate(period.endDate)}, or raise ${engineer.name}'s maxCapacity`
+        }
+      });
+    });
+  }
+
+  return findings;
+};
+
+// Assignments that start before or end after their project. The fix trims the assignment to
+// the project dates, or removes it when the two do not overlap at all.
+const findOutsideProjectDates = assignments => assignments
+  .filter(assignment =>
+    assignment.startDate < assignment.projectId.startDate ||
+    assignment.endDate > assignment.projectId.endDate
+  )
+  .map(assignment => {
+    const project = assignment.projectId;
+    const startDate = new Date(Math.max(assignment.startDate, project.startDate));
+    const endDate = new Date(Math.min(assignment.endDate, project.endDate));
+    const overlaps = startDate <= endDate;
+
+    return {
+      type: 'outside_project_dates',
+      engineer: summarizeEngineer(assignment.engineerId),
+      project: summarizeProject(project),
+      assignments: [summarizeAssignment(assignment)],
+      suggestedFix: overlaps
+        ? {
+          action: 'trim_dates',
+          assignmentId: assignment._id,
+          startDate,
+          endDate,
+          message: `Trim the assignment to ${formatDate(startDate)} - ${formatDate(endDate)}`
+        }
+        : {
+          action: 'delete_assignment',
+          assignmentId: assignment._id,
+          message: 'The assignment does not overlap the project at all; delete it'
+        }
+    };
+  });
+
+// Assignments still open on completed projects. The fix ends them.
+const findOnCompletedProjects = assignments => assignments
+  .filter(assignment =>
+    assignment.projectId.status === 'completed' && assignment.status !== 'ended'
+  )
+  .map(assignment => ({
+    type: 'completed_project',
+    engineer: summarizeEngineer(assignment.engineerId),
+    project: summarizeProject(assignment.projectId),
+    assignments: [summarizeAssignment(assignment)],
+    suggestedFix: {
+      action: 'end_assignment',
+      assignmentId: assignment._id,
+      message: `End the assignment; ${assignment.projectId.name} is completed`
+    }
+  }));
+
+// Scan stored assignments for over-allocation, assignments outside their project's dates and
+// open assignments on completed projects. Managers only see findings involving projects they
+// can read, and only for engineers on those projects.
+const findConflicts = async ({ user, types = CONFLICT_TYPES, engineerId, projectId }) => {
+  const projectIds = await accessibleProjectIds(user);
+  const readable = projectIds && new Set(projectIds.map(id => id.toString()));
+
+  const query = { status: { $nin: Assignment.nonReservingStatuses() } };
+  if (engineerId) {
+    query.engineerId = engineerId;
+  }
+
+  // Engineers with an assignment in scope; their other assignments still count towards load
+  const scopeIds = projectId ? [projectId] : projectIds;
+  const scope = scopeIds ? { ...query, projectId: { $in: scopeIds } } : query;
+  query.engineerId = { $in: await Assignment.distinct('engineerId', scope) };
+
+  const assignments = (await Assignment.find(query)
+    .populate('engineerId', 'name email maxCapacity')
+    .populate('projectId', 'name status startDate endDate')
+    .sort({ startDate: 1 }))
+    .filter(assignment => assignment.engineerId && assignment.projectId);
+
+  const isReadable = assignment => !readable || readable.has(assignment.projectId._id.toString());
+  const isVisible = assignment =>
+    (!projectId || assignment.projectId._id.toString() === projectId.toString()) &&
+    isReadable(assignment);
+  const visible = assignments.filter(isVisible);
+
+  const findings = [];
+  if (types.includes('overallocation')) {
+    findings.push(...await findOverallocations(assignments, isVisible, isReadable));
+  }
+  if (types.includes('outside_project_dates')) {
+    findings.push(...findOutsideProjectDates(visible));
+  }
+  if (types.includes('completed_project')) {
+    findings.push(...findOnCompletedProjects(visible));
+  }
+
+  return {
+    generatedAt: new Date(),
+    total: findings.length,
+    counts: Object.fromEntries(types.map(type => [
+      type,
+      findings.filter(finding => finding.type === type).length
+    ])),
+    findings
+  };
+};
+
+module.exports = {
+  CONFLICT_TYPES,
+  findConflicts
+};
@@ -0,0 +1,66 @@
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const { BadRequestError } = require('./errors.service');
+
+class CsvError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: 'INVALID_CSV' });
+    this.name = 'CsvError';
+  }
+}
+
+// Parse a CSV document with a header row into one object per data row
+const parseCsv = text => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new CsvError('Expected a non-empty text/csv request body');
+  }
+
+  try {
+    return parse(text, {
+      columns: header => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true
+    });
+  } catch (error) {
+    throw new CsvError(`Invalid CSV: ${error.message}`);
+  }
+};
+
+// List values (skills, required skills) are stored in one cell separated by semicolons
+const splitList = value => (value ? value.split(';').map(item => item.trim()).filter(Boolean) : []);
+const joinList = values => (values || []).join(';');
+
+// Skill cells look like "React:4;Node.js:3"; the level after the colon is optional
+const parseSkillList = (value, levelField) => splitList(value).map(item => {
+  const [name, level] = item.split(':').map(part => part.trim());
+  return level ? { name, [levelField]: Number(level) } : { name };
+});
+
+const formatSkillList = (entries, levelField) =>
+  joinList((entries || []).map(entry => `${entry.name}:${entry[levelField]}`));
+
+const formatDate = value => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote text that would otherwise be a formula so it opens as plain text
+const escapeFormula = value => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+// Send rows as a CSV attachment. columns is a list of { key, header } pairs.
+const sendCsv = (res, fileName, columns, rows) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.attachment(fileName);
+  res.send(stringify(rows, { header: true, columns, cast: { string: escapeFormula } }));
+};
+
+module.exports = {
+  CsvError,
+  parseCsv,
+  splitList,
+  joinList,
+  parseSkillList,
+  formatSkillList,
+  formatDate,
+  sendCsv
+};
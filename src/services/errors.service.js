@@ -0,0 +1,79 @@
+// Errors the API answers with a known status. Each carries a stable machine-readable code
+// that the error middleware returns as { message, error, details }; anything that is not an
+// AppError is answered as a 500 without exposing its message.
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, { code = 'BAD_REQUEST', details } = {}) {
+    super(message, { status: 400, code, details });
+    this.name = 'BadRequestError';
+  }
+}
+
+// Request fields that failed validation, in the express-validator format
+class RequestValidationError extends BadRequestError {
+  constructor(errors) {
+    super('Invalid request', { code: 'VALIDATION_ERROR', details: errors });
+    this.name = 'RequestValidationError';
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Please authenticate.', { code = 'UNAUTHENTICATED', details } = {}) {
+    super(message, { status: 401, code, details });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Unauthorized access.', { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+    this.name = 'ConflictError';
+  }
+}
+
+// retryAfter (seconds) is also sent as the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(retryAfter) {
+    super('Too many requests, please try again later', {
+      status: 429,
+      code: 'RATE_LIMITED',
+      details: { retryAfter }
+    });
+    this.name = 'TooManyRequestsError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  RequestValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+};
@@ -0,0 +1,42 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for domain events (assignment.created, project.status_changed, ...).
+// Route handlers publish; integrations such as webhooks subscribe.
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+const EVENT_TYPES = [
+  'assignment.created',
+  'assignment.updated',
+  'assignment.deleted',
+  'project.created',
+  'project.updated',
+  'project.deleted',
+  'project.status_changed',
+  'project.overdue',
+  'user.created',
+  'user.updated',
+  'engineer.overallocated'
+];
+
+// Publish an event to every subscriber. Subscribers handle their own errors,
+// so publishing never fails the request that caused it.
+const publish = (type, data, { actor } = {}) => {
+  bus.emit('event', {
+    type,
+    data: JSON.parse(JSON.stringify(data)),
+    actorId: actor?._id,
+    occurredAt: new Date()
+  });
+};
+
+const subscribe = listener => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  subscribe
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const User = require('../models/user.model');
+const Project = require('../models/project.model');
+const Assignment = require('../models/assignment.model');
+const { parseCsv, parseSkillList } = require('./csv.service');
+const { recordAudit } = require('./audit.service');
+const { requestPasswordReset } = require('./password.service');
+const { projectFilter } = require('./policy.service');
+const { leaveOverlapPolicy } = require('./allocation.service');
+
+// Spreadsheet row number of a data row (the header is row 1)
+const rowNumber = index => index + 2;
+
+const blank = value => value === undefined || value === '';
+
+// The same email check the register route applies
+const emailCheck = body('email').isEmail();
+const isEmail = async email => (await emailCheck.run({ body: { email } })).isEmpty();
+
+// Run the schema validators for a row and collect their messages as row errors
+const validateDocument = async (doc, row, errors) => {
+  try {
+    await doc.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') {
+      throw error;
+    }
+    Object.values(error.errors).forEach(fieldError => {
+      errors.push({ row, field: fieldError.path, message: fieldError.message });
+    });
+  }
+};
+
+// Insert every document in one transaction so an import either fully applies or not at all.
+// Plain objects are inserted (rather than the validated documents) so a retried transaction
+// starts from a clean state; save hooks such as password hashing still run.
+const commit = async (Model, docs) => {
+  const payloads = docs.map(doc => doc.toObject({ depopulate: true }));
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      for (const payload of payloads) {
+        await Model.create([payload], { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+const summarize = ({ rows, docs, errors, dryRun }) => ({
+  dryRun,
+  valid: errors.length === 0,
+  total: rows.length,
+  created: !dryRun && errors.length === 0 ? docs.length : 0,
+  ids: !dryRun && errors.length === 0 ? docs.map(doc => doc._id) : [],
+  errors
+});
+
+const auditCreated = (docs, entityType, actor) => Promise.all(docs.map(doc => recordAudit({
+  actor,
+  action: 'create',
+  entityType,
+  entityId: doc._id,
+  after: doc
+})));
+
+// Import users. Rows without a password get a random one and a password reset email.
+const importUsers = async (text, { dryRun = false } = {}) => {
+  const rows = parseCsv(text);
+  const errors = [];
+  const docs = [];
+  const needsReset = [];
+
+  const emails = rows.map(row => (row.email || '').toLowerCase());
+  const existing = await User.find({ email: { $in: emails } }).select('email');
+  const taken = new Set(existing.map(user => user.email));
+  const seen = new Set();
+
+  for (const [index, data] of rows.entries()) {
+    const row = rowNumber(index);
+    const email = (data.email || '').toLowerCase();
+    const role = data.role || 'engineer';
+    const rowErrors = [];
+
+    if (!await isEmail(email)) {
+      rowErrors.push({ row, field: 'email', message: 'Invalid email' });
+    } else if (taken.has(email)) {
+      rowErrors.push({ row, field: 'email', message: 'User already exists' });
+    } else if (seen.has(email)) {
+      rowErrors.push({ row, field: 'email', message: 'Duplicate email in file' });
+    }
+    seen.add(email);
+
+    if (!blank(data.password) && data.password.length < 6) {
+      rowErrors.push({ row, field: 'password', message: 'Password must be at least 6 characters' });
+    }
+
+    const doc = new User({
+      email,
+      name: data.name,
+      role,
+      password: blank(data.password) ? crypto.randomBytes(24).toString('hex') : data.password,
+      skills: parseSkillList(data.skills, 'level'),
+      seniority: role === 'engineer' && !blank(data.seniority) ? data.seniority : undefined,
+      maxCapacity: role === 'engineer' && !blank(data.maxCapacity) ? data.maxCapacity : undefined,
+      department: role === 'engineer' && !blank(data.department) ? data.department : undefined
+    });
+
+    await validateDocument(doc, row, rowErrors);
+    errors.push(...rowErrors);
+    docs.push(doc);
+    if (blank(data.password)) {
+      needsReset.push(email);
+    }
+  }
+
+  if (!dryRun && errors.length === 0) {
+    await commit(User, docs);
+    await Promise.all(needsReset.map(email => requestPasswordReset(email)));
+  }
+
+  return summarize({ rows, docs, errors, dryRun });
+};
+
+// Import projects owned by the importing manager
+const importProjects = async (text, { manager, dryRun = false }) => {
+  const rows = parseCsv(text);
+  const errors = [];
+  const docs = [];
+
+  for (const [index, data] of rows.entries()) {
+    const row = rowNumber(index);
+
+    // Like the create route, projects start out planning or active
+    if (!blank(data.status) && !Project.INITIAL_STATUSES.includes(data.status)) {
+      errors.push({
+        row,
+        field: 'status',
+        message: `Status must be one of: ${Project.INITIAL_STATUSES.join(', ')}`
+      });
+    }
+
+    const doc = new Project({
+      name: data.name,
+      description: data.description,
+      startDate: data.startDate,
+      endDate: data.endDate,
+      requiredSkills: parseSkillList(data.requiredSkills, 'minLevel'),
+      teamSize: data.teamSize,
+      status: blank(data.status) ? undefined : data.status,
+      managerId: manager._id
+    });
+
+    await validateDocument(doc, row, errors);
+    docs.push(doc);
+  }
+
+  if (!dryRun && errors.length === 0) {
+    await commit(Project, docs);
+    await auditCreated(docs, 'Project', manager);
+  }
+
+  return summarize({ rows, docs, errors, dryRun });
+};
+
+// Import assignments onto projects the importing manager can manage. Engineers are referenced by
+// engineerEmail or engineerId, projects by projectId or projectName.
+const importAssignments = async (text, { manager, dryRun = false }) => {
+  const rows = parseCsv(text);
+  const errors = [];
+  const docs = [];
+
+  const engineers = await User.find({
+    role: 'engineer',
+    $or: [
+      { email: { $in: rows.map(row => (row.engineerEmail || '').toLowerCase()).filter(Boolean) } },
+      { _id: { $in: rows.map(row => row.engineerId).filter(mongoose.isValidObjectId) } }
+    ]
+  });
+  const engineersByKey = new Map();
+  engineers.forEach(engineer => {
+    engineersByKey.set(engineer.email, engineer);
+    engineersByKey.set(engineer._id.toString(), engineer);
+  });
+
+  const projects = await Project.find(await projectFilter(manager, 'manage'));
+  const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+  const projectsByName = new Map();
+  projects.forEach(project => {
+    const name = project.name.toLowerCase();
+    projectsByName.set(name, projectsByName.has(name) ? null : project);
+  });
+
+  for (const [index, data] of rows.entries()) {
+    const row = rowNumber(index);
+    const rowErrors = [];
+
+    const engineer = engineersByKey.get(data.engineerId || (data.engineerEmail || '').toLowerCase());
+    if (!engineer) {
+      rowErrors.push({ row, field: 'engineer', message: 'Engineer not found' });
+    }
+
+    const project = data.projectId
+      ? projectsById.get(data.projectId)
+      : projectsByName.get((data.projectName || '').toLowerCase());
+    if (!project) {
+      rowErrors.push({
+        row,
+        field: 'project',
+        message: project === null ? 'Project name is ambiguous, use projectId' : 'Project not found'
+      });
+    } else if (!project.isStaffable()) {
+      rowErrors.push({ row, field: 'project', message: `Project is ${project.status}` });
+    }
+
+    const doc = new Assignment({
+      engineerId: engineer?._id,
+      projectId: project?._id,
+      allocationPercentage: data.allocationPercentage,
+      startDate: data.startDate,
+      endDate: data.endDate,
+      role: data.role
+    });
+
+    await validateDocument(doc, row, rowErrors);
+
+    // The schema validator only sees stored data, so re-check capacity including earlier rows
+    if (engineer && rowErrors.length === 0) {
+      const availability = await Assignment.checkAvailability(
+        engineer._id,
+        doc.startDate,
+        doc.endDate,
+        {
+          allocationPercentage: doc.allocationPercentage,
+          additionalAssignments: docs,
+          maxCapacity: engineer.maxCapacity,
+          countTimeOff: false
+        }
+      );
+
+      if (!availability.isAvailable) {
+        rowErrors.push({
+          row,
+          field: 'allocationPercentage',
+          message: 'Engineer does not have sufficient capacity for this assignment',
+          conflicts: availability.conflicts
+        });
+      } else if (availability.timeOff.length && leaveOverlapPolicy() === 'fail') {
+        rowErrors.push({
+          row,
+          field: 'startDate',
+          message: 'Assignment overlaps approved time off',
+          timeOff: availability.timeOff
+        });
+      }
+    }
+
+    errors.push(...rowErrors);
+    if (rowErrors.length === 0) {
+      docs.push(doc);
+    }
+  }
+
+  if (!dryRun && errors.length === 0) {
+    await commit(Assignment, docs);
+    await auditCreated(docs, 'Assignment', manager);
+  }
+
+  return summarize({ rows, docs, errors, dryRun });
+};
+
+module.exports = {
+  importUsers,
+  importProjects,
+  importAssignments
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const Invite = require('../models/invite.model');
+const { sendMail } = require('./mail.service');
+const { ForbiddenError } = require('./errors.service');
+
+const INVITE_TTL_DAYS = () => parseInt(process.env.INVITE_TTL_DAYS) || 7;
+
+class InviteError extends ForbiddenError {
+  constructor(message) {
+    super(message, { code: 'INVALID_INVITE' });
+    this.name = 'InviteError';
+  }
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create an invite for an email/role pair and mail the registration link
+const createInvite = async ({ email, role, invitedBy }) => {
+  // Re-inviting replaces any outstanding invite for the same address
+  await Invite.deleteMany({ email, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invite = await Invite.create({
+    email,
+    role,
+    invitedBy: invitedBy._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS() * 24 * 60 * 60 * 1000)
+  });
+
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  await sendMail({
+    to: email,
+    subject: 'You have been invited to the resource management system',
+    text: [
+      `${invitedBy.name} invited you to join as ${role}.`,
+      '',
+      'Complete your registration here:',
+      `${appUrl}/register?invite=${token}`,
+      '',
+      `The invite expires in ${INVITE_TTL_DAYS()} days.`
+    ].join('\n')
+  });
+
+  return invite;
+};
+
+// Find the outstanding invite for a token. The invite must match the registering email.
+const findInvite = async (token, email) => {
+  const invite = await Invite.findOne({
+    tokenHash: hashToken(token),
+    email,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!invite) {
+    throw new InviteError('Invalid or expired invite');
+  }
+
+  return invite;
+};
+
+// Mark an outstanding invite used. Only one of several concurrent registrations with the
+// same invite gets it; the others fail here.
+const claimInvite = async invite => {
+  const claimed = await Invite.findOneAndUpdate(
+    { _id: invite._id, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new InviteError('Invalid or expired invite');
+  }
+
+  return claimed;
+};
+
+// Hand a claimed invite back when the registration it was claimed for fails
+const releaseInvite = invite => Invite.updateOne(
+  { _id: invite._id, usedAt: invite.usedAt },
+  { $set: { usedAt: null } }
+);
+
+module.exports = {
+  InviteError,
+  createInvite,
+  findInvite,
+  claimInvite,
+  releaseInvite
+};
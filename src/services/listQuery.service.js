@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors.service');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const PAGINATION_PARAMS = ['page', 'limit', 'cursor', 'sort', 'fields'];
+
+class ListQueryError extends BadRequestError {
+  constructor(message, details = []) {
+    super(message, { code: 'INVALID_QUERY', details });
+    this.name = 'ListQueryError';
+  }
+}
+
+// Escape user input for use inside a $regex so it always matches literally
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isInt = value => /^\d+$/.test(value);
+
+// Checks for each filter type. An array of strings as the type means "one of these values".
+const FILTER_CHECKS = {
+  string: () => true,
+  list: () => true,
+  objectId: value => mongoose.isValidObjectId(value),
+  date: value => !Number.isNaN(new Date(value).getTime()),
+  int: isInt,
+  boolean: value => value === 'true' || value === 'false'
+};
+
+const checkFilter = (type, value) => (Array.isArray(type)
+  ? type.includes(value)
+  : FILTER_CHECKS[type](value));
+
+// Documents without a value for a sort field travel as null
+const nullable = revive => value => (value === null ? null : revive(value));
+
+// Sort values travel in the cursor as JSON, so revive them by the field's type
+const CURSOR_REVIVERS = {
+  string: nullable(value => (typeof value === 'string' ? value : undefined)),
+  number: nullable(value => (typeof value === 'number' ? value : undefined)),
+  date: nullable(value => {
+    const date = new Date(value);
+    return typeof value === 'string' && !Number.isNaN(date.getTime()) ? date : undefined;
+  }),
+  objectId: value => (mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : undefined)
+};
+
+const parseSort = (value, spec, errors) => {
+  const sort = [];
+
+  value.split(',').map(item => item.trim()).forEach(item => {
+    const direction = item.startsWith('-') ? -1 : 1;
+    const field = item.replace(/^[-+]/, '');
+
+    if (!spec.sortable[field]) {
+      errors.push({ param: 'sort', message: `Cannot sort by "${field}"` });
+    } else if (sort.some(key => key.field === field)) {
+      errors.push({ param: 'sort', message: `Duplicate sort field "${field}"` });
+    } else {
+      sort.push({ field, direction, type: spec.sortable[field] });
+    }
+  });
+
+  // _id breaks ties so every document has a unique position for paging
+  sort.push({ field: '_id', direction: 1, type: 'objectId' });
+  return sort;
+};
+
+const parseFields = (value, spec, errors) => {
+  const fields = value.split(',').map(item => item.trim()).filter(Boolean);
+  const unknown = fields.filter(field => !spec.fields.includes(field));
+  if (unknown.length) {
+    errors.push({ param: 'fields', message: `Unknown fields: ${unknown.join(', ')}` });
+  }
+  return fields;
+};
+
+const encodeCursor = (document, sort) => {
+  const values = sort.map(({ field }) => {
+    const value = typeof document.get === 'function' ? document.get(field) : document[field];
+    return value instanceof mongoose.Types.ObjectId ? value.toString() : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (value, sort, errors) => {
+  try {
+    const values = JSON.parse(Buffer.from(value, 'base64url').toString());
+    if (!Array.isArray(values) || values.length !== sort.length) {
+      throw new Error('Cursor does not match the sort order');
+    }
+
+    return values.map((item, index) => {
+      const revived = CURSOR_REVIVERS[sort[index].type](item);
+      if (revived === undefined) {
+        throw new Error('Cursor does not match the sort order');
+      }
+      return revived;
+    });
+  } catch (error) {
+    errors.push({ param: 'cursor', message: 'Invalid cursor' });
+    return null;
+  }
+};
+
+// Condition for values after `value` on one sort key, or null when nothing comes after it.
+// MongoDB sorts null and missing values first, so they lead ascending and trail descending.
+const afterValue = ({ field, direction }, value) => {
+  if (direction === 1) {
+    return { [field]: value === null ? { $ne: null } : { $gt: value } };
+  }
+  return value === null
+    ? null
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset condition selecting documents strictly after the cursor position in the sort order
+const cursorCondition = (sort, values) => ({
+  $or: sort.map((key, index) => {
+    const after = afterValue(key, values[index]);
+    if (!after) {
+      return null;
+    }
+
+    const condition = {};
+    sort.slice(0, index).forEach((previous, previousIndex) => {
+      condition[previous.field] = values[previousIndex];
+    });
+    return { ...condition, ...after };
+  }).filter(Boolean)
+});
+
+// Validate list query parameters against an endpoint spec:
+//   filters:     { param: type } accepted filter parameters
+//   sortable:    { field: 'string' | 'number' | 'date' } fields allowed in `sort`
+//   fields:      fields allowed in `fields`
+//   defaultSort: sort used when none is given, e.g. '-startDate,name'
+// Unknown parameters, operator objects (?search[$ne]=) and malformed values are rejected.
+const parseListQuery = (query, spec) => {
+  const errors = [];
+  const filters = {};
+
+  Object.entries(query).forEach(([param, value]) => {
+    const isPagination = PAGINATION_PARAMS.includes(param);
+    const type = isPagination ? 'string' : spec.filters[param];
+
+    if (!type) {
+      errors.push({ param, message: 'Unknown query parameter' });
+      return;
+    }
+
+    const values = type === 'list' && Array.isArray(value) ? value : [value];
+    if (values.some(item => typeof item !== 'string')) {
+      errors.push({ param, message: 'Expected a plain value' });
+      return;
+    }
+
+    if (!isPagination) {
+      if (!values.every(item => checkFilter(type, item))) {
+        errors.push({ param, message: 'Invalid value' });
+        return;
+      }
+      filters[param] = value;
+    }
+  });
+
+  if (errors.length) {
+    throw new ListQueryError('Invalid query parameters', errors);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+  if (!isInt(query.limit ?? '1') || limit < 1 || limit > MAX_LIMIT) {
+    errors.push({ param: 'limit', message: `Must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page);
+  if (!isInt(query.page ?? '1') || page < 1) {
+    errors.push({ param: 'page', message: 'Must be a positive integer' });
+  }
+
+  if (query.page !== undefined && query.cursor !== undefined) {
+    errors.push({ param: 'cursor', message: 'Use either page or cursor, not both' });
+  }
+
+  const sort = parseSort(query.sort || spec.defaultSort, spec, errors);
+  const fields = query.fields ? parseFields(query.fields, spec, errors) : null;
+  const cursor = query.cursor !== undefined ? decodeCursor(query.cursor, sort, errors) : null;
+
+  if (errors.length) {
+    throw new ListQueryError('Invalid query parameters', errors);
+  }
+
+  return { filters, sort, fields, cursor, page, limit };
+};
+
+// Run a list query with the parsed options and return { data, meta }.
+// Sort fields are always included in a `fields` projection so the next cursor can be built.
+const paginate = async (Model, filter, options, { select, populate = [], lean = false } = {}) => {
+  const { sort, fields, cursor, page, limit } = options;
+
+  const conditions = cursor ? { $and: [filter, cursorCondition(sort, cursor)] } : filter;
+  const projection = fields
+    ? [...new Set([...fields, ...sort.map(key => key.field)])].join(' ')
+    : select;
+
+  let query = Model.find(conditions)
+    .sort(sort.map(key => [key.field, key.direction]))
+    .skip(cursor ? 0 : (page - 1) * limit)
+    .limit(limit + 1);
+
+  if (projection) {
+    query = query.select(projection);
+  }
+  populate.forEach(args => {
+    query = query.populate(...args);
+  });
+  if (lean) {
+    query = query.lean();
+  }
+
+  const [documents, total] = await Promise.all([query, Model.countDocuments(filter)]);
+  const hasMore = documents.length > limit;
+  const data = documents.slice(0, limit);
+
+  return {
+    data,
+    meta: {
+      total,
+      limit,
+      ...(cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+      sort: sort.slice(0, -1).map(key => `${key.direction === -1 ? '-' : ''}${key.field}`).join(','),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  ListQueryError,
+  escapeRegex,
+  parseListQuery,
+  paginate
+};
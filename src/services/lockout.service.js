@@ -0,0 +1,94 @@
+const LoginFailure = require('../models/loginFailure.model');
+const LoginLock = require('../models/loginLock.model');
+const { UnauthorizedError } = require('./errors.service');
+
+const MINUTE = 60 * 1000;
+
+const lockoutThreshold = () => parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+const lockoutBaseMinutes = () => parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15;
+const lockoutMaxMinutes = () => parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// Answered like a wrong password, so a lock does not reveal that the account exists; only
+// the Retry-After header tells the client when to try again
+class AccountLockedError extends UnauthorizedError {
+  constructor(lockedUntil) {
+    super('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    this.name = 'AccountLockedError';
+    this.lockedUntil = lockedUntil;
+    this.retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+  }
+}
+
+// Each lock lasts twice as long as the one before it, up to the maximum
+const lockDuration = lockCount =>
+  Math.min(lockoutBaseMinutes() * 2 ** lockCount, lockoutMaxMinutes()) * MINUTE;
+
+// Record a rejected sign-in. context carries the request's ip and userAgent.
+const recordLoginFailure = ({ email, user, reason, context = {} }) => LoginFailure.create({
+  email: email || user?.email,
+  userId: user?._id,
+  reason,
+  ip: context.ip,
+  userAgent: context.userAgent
+});
+
+// Lock counters are kept per account and client IP
+const lockKey = (user, context) => ({ userId: user._id, ip: context.ip || '' });
+
+// Count a wrong password, locking the account for this IP once the threshold is reached
+const registerFailure = async (user, context) => {
+  const key = lockKey(user, context);
+  const threshold = lockoutThreshold();
+  const updated = await LoginLock.findOneAndUpdate(
+    key,
+    { $inc: { failedAttempts: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  if (updated.failedAttempts < threshold) {
+    return;
+  }
+
+  // Only the request that crossed the threshold sets the lock
+  await LoginLock.updateOne(
+    { ...key, failedAttempts: { $gte: threshold } },
+    {
+      $set: { failedAttempts: 0, lockedUntil: new Date(Date.now() + lockDuration(updated.lockCount)) },
+      $inc: { lockCount: 1 }
+    }
+  );
+};
+
+// Check a user's password for sign-in or re-authentication. Wrong passwords count towards
+// a progressive lockout of the account from the client's IP (context.ip) and a correct one
+// clears it. Throws AccountLockedError while locked.
+const verifyPassword = async (user, password, context = {}) => {
+  const lock = await LoginLock.findOne(lockKey(user, context));
+  if (lock?.isLocked()) {
+    await recordLoginFailure({ user, reason: 'locked', context });
+    throw new AccountLockedError(lock.lockedUntil);
+  }
+
+  if (await user.comparePassword(password)) {
+    if (lock) {
+      await LoginLock.deleteOne({ _id: lock._id });
+    }
+    return true;
+  }
+
+  await recordLoginFailure({ user, reason: 'bad_password', context });
+  await registerFailure(user, context);
+  return false;
+};
+
+// Clear failed attempts and every lock on the account, after a password reset or by an admin
+const unlockAccount = async user => {
+  await LoginLock.deleteMany({ userId: user._id });
+  return user;
+};
+
+module.exports = {
+  AccountLockedError,
+  recordLoginFailure,
+  verifyPassword,
+  unlockAccount
+};
@@ -0,0 +1,39 @@
+// Structured logs: one JSON object per line, errors and warnings on stderr.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// Errors do not serialize their message or stack by default
+const serializeError = error => (error instanceof Error
+  ? {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  }
+  : error);
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < minLevel()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serializeError(value)]))
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = Object.fromEntries(Object.keys(LEVELS).map(level => [
+  level,
+  (message, fields) => write(level, message, fields)
+]));
+
+module.exports = {
+  logger,
+  serializeError
+};
@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger.service');
+
+// Logs messages instead of sending them; the default for local development. The body carries
+// live reset and invite tokens, so it is not logged: use the file transport to read it.
+const consoleTransport = {
+  async send(message) {
+    logger.info('Mail', { to: message.to, subject: message.subject });
+  }
+};
+
+// Writes each message as a JSON file into MAIL_OUTBOX_DIR
+const fileTransport = {
+  async send(message) {
+    const outbox = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    await fs.mkdir(outbox, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+    await fs.writeFile(path.join(outbox, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let customTransport = null;
+
+// Plug in a real transport (SMTP, provider API, ...). It must expose `send(message)`.
+const setTransport = transport => {
+  if (transport && typeof transport.send !== 'function') {
+    throw new TypeError('Mail transport must implement send(message)');
+  }
+  customTransport = transport;
+};
+
+const getTransport = () => customTransport
+  || transports[process.env.MAIL_TRANSPORT]
+  || consoleTransport;
+
+const sendMail = message => getTransport().send({
+  from: process.env.MAIL_FROM || 'no-reply@erm.local',
+  ...message
+});
+
+module.exports = {
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const PasswordReset = require('../models/passwordReset.model');
+const { sendMail } = require('./mail.service');
+const { revokeAllSessions } = require('./token.service');
+const { verifyPassword, unlockAccount } = require('./lockout.service');
+const { BadRequestError } = require('./errors.service');
+
+const RESET_TOKEN_TTL_MINUTES = () => parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+
+class PasswordResetError extends BadRequestError {
+  constructor(message, code = 'INVALID_RESET_TOKEN') {
+    super(message, { code });
+    this.name = 'PasswordResetError';
+  }
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildResetUrl = token => {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  return `${appUrl}/reset-password?token=${token}`;
+};
+
+// Issue a single-use reset token and mail it. Unknown emails are ignored silently
+// so the endpoint cannot be used to discover accounts.
+const requestPasswordReset = async email => {
+  const user = await User.findOne({ email });
+  if (!user) {
+    return;
+  }
+
+  // Only the most recently requested token stays valid
+  await PasswordReset.deleteMany({ userId: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlMinutes = RESET_TOKEN_TTL_MINUTES();
+
+  await PasswordReset.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Use the link below to choose a new password:',
+      buildResetUrl(token),
+      '',
+      `The link expires in ${ttlMinutes} minutes. If you did not ask for a reset, ignore this email.`
+    ].join('\n')
+  });
+};
+
+// Consume a reset token, set the new password and invalidate every existing session.
+// Proving control of the mailbox also lifts any sign-in lock.
+const resetPassword = async (token, newPassword) => {
+  const reset = await PasswordReset.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() }
+  );
+
+  if (!reset) {
+    throw new PasswordResetError('Invalid or expired reset token');
+  }
+
+  const user = await User.findById(reset.userId);
+  if (!user) {
+    throw new PasswordResetError('Invalid or expired reset token');
+  }
+
+  user.password = newPassword;
+  await user.save();
+  await unlockAccount(user);
+  await revokeAllSessions(user._id, 'password_reset');
+
+  return user;
+};
+
+// Change the password of a signed-in user after confirming the current one. Wrong current
+// passwords count towards the account lockout like failed sign-ins.
+const changePassword = async (user, currentPassword, newPassword, context = {}) => {
+  const isMatch = await verifyPassword(user, currentPassword, context);
+  if (!isMatch) {
+    throw new PasswordResetError('Current password is incorrect', 'INCORRECT_PASSWORD');
+  }
+
+  user.password = newPassword;
+  await user.save();
+  await revokeAllSessions(user._id, 'password_change');
+
+  return user;
+};
+
+module.exports = {
+  PasswordResetError,
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+};
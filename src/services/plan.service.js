@@ -0,0 +1,103 @@
+const Assignment = require('../models/assignment.model');
+const { buildTimeline, fromDay } = require('./allocation.service');
+const { matchSkills } = require('./candidate.service');
+
+// Projects without phases are planned as one phase spanning the whole project
+const planningPhases = project => (project.phases && project.phases.length
+  ? project.phases
+  : [{
+    _id: null,
+    name: project.name,
+    startDate: project.startDate,
+    endDate: project.endDate,
+    headcount: project.teamSize,
+    requiredSkills: project.requiredSkills
+  }]);
+
+// Assignments staffing a phase: those linked to it, plus unlinked ones overlapping its dates
+const phaseAssignments = (phase, assignments) => assignments.filter(assignment => {
+  if (assignment.phaseId) {
+    return phase._id && assignment.phaseId.toString() === phase._id.toString();
+  }
+  return assignment.startDate <= phase.endDate && assignment.endDate >= phase.startDate;
+});
+
+// Compare planned against staffed headcount and skills for one phase
+const planPhase = (phase, assignments) => {
+  const staffing = phaseAssignments(phase, assignments);
+
+  // Concurrent headcount counts each engineer once, however many assignments they hold
+  const timeline = buildTimeline(staffing, phase.startDate, phase.endDate, () => 0)
+    .map(segment => ({
+      ...segment,
+      headcount: new Set(segment.items.map(item => item.engineerId._id.toString())).size,
+      fte: segment.items.reduce((sum, item) => sum + item.allocationPercentage, 0) / 100
+    }));
+
+  const headcounts = timeline.map(segment => segment.headcount);
+  const minHeadcount = headcounts.length ? Math.min(...headcounts) : 0;
+  const maxHeadcount = headcounts.length ? Math.max(...headcounts) : 0;
+
+  const engineers = new Map();
+  staffing.forEach(assignment => {
+    engineers.set(assignment.engineerId._id.toString(), assignment.engineerId);
+  });
+
+  const staffedSkills = Array.from(engineers.values()).flatMap(engineer => engineer.skills || []);
+  const { matchedSkills, missingSkills } = matchSkills(staffedSkills, phase.requiredSkills || []);
+
+  return {
+    phaseId: phase._id,
+    name: phase.name,
+    startDate: phase.startDate,
+    endDate: phase.endDate,
+    plannedHeadcount: phase.headcount,
+    staffedHeadcount: {
+      min: minHeadcount,
+      max: maxHeadcount
+    },
+    headcountGap: Math.max(0, phase.headcount - minHeadcount),
+    understaffed: timeline
+      .filter(segment => segment.headcount < phase.headcount)
+      .map(segment => ({
+        startDate: fromDay(segment.start),
+        endDate: fromDay(segment.end - 1),
+        headcount: segment.headcount,
+        fte: segment.fte
+      })),
+    requiredSkills: phase.requiredSkills || [],
+    coveredSkills: matchedSkills,
+    missingSkills,
+    engineers: Array.from(engineers.values()).map(engineer => ({
+      _id: engineer._id,
+      name: engineer.name,
+      skills: engineer.skills
+    }))
+  };
+};
+
+// Planned versus staffed headcount and skills for every phase of a project
+const buildProjectPlan = async project => {
+  const assignments = await Assignment.find({
+    projectId: project._id,
+    status: { $nin: Assignment.nonReservingStatuses() }
+  }).populate('engineerId', 'name skills');
+
+  return {
+    project: {
+      _id: project._id,
+      name: project.name,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      teamSize: project.teamSize
+    },
+    phases: planningPhases(project).map(phase => planPhase(
+      phase,
+      assignments.filter(assignment => assignment.engineerId)
+    ))
+  };
+};
+
+module.exports = {
+  buildProjectPlan
+};
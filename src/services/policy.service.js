@@ -0,0 +1,147 @@
+const Assignment = require('../models/assignment.model');
+const Project = require('../models/project.model');
+
+// What each role on a project may do. The owner is the project's managerId; co-managers and
+// viewers are shared members; engineers assigned to the project are team members.
+const PROJECT_PERMISSIONS = {
+  owner: ['read', 'manage', 'share', 'delete'],
+  co_manager: ['read', 'manage', 'share'],
+  viewer: ['read'],
+  member: ['read']
+};
+
+const idOf = value => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+// Projects an engineer is on: every assignment except declined proposals
+const assignedProjectIds = engineerId =>
+  Assignment.distinct('projectId', { engineerId, status: { $ne: 'declined' } });
+
+// The user's role on a project: 'admin', 'owner', 'co_manager', 'viewer', 'member' or null
+const projectRole = async (user, project) => {
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+  if (sameId(project.managerId, user._id)) {
+    return 'owner';
+  }
+
+  const member = (project.members || []).find(entry => sameId(entry.userId, user._id));
+  if (member) {
+    return member.role;
+  }
+
+  if (user.role === 'engineer' && await Assignment.exists({
+    projectId: project._id,
+    engineerId: user._id,
+    status: { $ne: 'declined' }
+  })) {
+    return 'member';
+  }
+
+  return null;
+};
+
+const roleAllows = (role, permission) =>
+  role === 'admin' || Boolean(role && PROJECT_PERMISSIONS[role].includes(permission));
+
+const canAccessProject = async (user, project, permission = 'read') =>
+  roleAllows(await projectRole(user, project), permission);
+
+// Query condition matching the projects the user has a permission on
+const projectFilter = async (user, permission = 'read') => {
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  const memberRoles = Project.MEMBER_ROLES.filter(role => roleAllows(role, permission));
+  const conditions = [{ managerId: user._id }];
+  if (memberRoles.length) {
+    conditions.push({ members: { $elemMatch: { userId: user._id, role: { $in: memberRoles } } } });
+  }
+  if (user.role === 'engineer' && roleAllows('member', permission)) {
+    conditions.push({ _id: { $in: await assignedProjectIds(user._id) } });
+  }
+
+  return { $or: conditions };
+};
+
+// IDs of the projects the user has a permission on; null for admins, who have all of them
+const accessibleProjectIds = async (user, permission = 'read') => {
+  if (user.role === 'admin') {
+    return null;
+  }
+  return Project.find(await projectFilter(user, permission)).distinct('_id');
+};
+
+// Query condition matching the assignments on projects the user has a permission on.
+// Engineers can always read their own assignments.
+const assignmentFilter = async (user, permission = 'read') => {
+  const projectIds = await accessibleProjectIds(user, permission);
+  if (projectIds === null) {
+    return {};
+  }
+
+  const conditions = [{ projectId: { $in: projectIds } }];
+  if (user.role === 'engineer' && permission === 'read') {
+    conditions.push({ engineerId: user._id });
+  }
+  return { $or: conditions };
+};
+
+// Whether the user has a permission on an assignment's project (populated or not)
+const canAccessAssignment = async (user, assignment, permission = 'read') => {
+  if (permission === 'read' && sameId(assignment.engineerId, user._id)) {
+    return true;
+  }
+
+  const project = assignment.projectId && assignment.projectId.managerId
+    ? assignment.projectId
+    : await Project.findById(idOf(assignment.projectId)).select('managerId members');
+  if (!project) {
+    return user.role === 'admin';
+  }
+  return canAccessProject(user, project, permission);
+};
+
+// Predicate telling which assignments (populated or not) the user can read, for views that
+// count every assignment of an engineer but only show the readable ones in full
+const assignmentReadCheck = async user => {
+  const projectIds = await accessibleProjectIds(user);
+  const readable = projectIds && new Set(projectIds.map(id => id.toString()));
+  return assignment => !readable ||
+    sameId(assignment.engineerId, user._id) ||
+    Boolean(assignment.projectId) && readable.has(idOf(assignment.projectId).toString());
+};
+
+// Engineers can only look at themselves; managers and admins staff everyone
+const canViewEngineer = (user, engineerId) => user.role !== 'engineer' || sameId(engineerId, user._id);
+
+// Leave is reviewed by admins and by the owners and co-managers of a project the engineer is on
+const canReviewTimeOff = async (user, engineerId) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return Boolean(await Project.exists({
+    ...await projectFilter(user, 'manage'),
+    _id: { $in: await assignedProjectIds(idOf(engineerId)) }
+  }));
+};
+
+const engineerFilter = user => (user.role === 'engineer' ? { _id: user._id } : {});
+
+module.exports = {
+  PROJECT_PERMISSIONS,
+  projectRole,
+  roleAllows,
+  canAccessProject,
+  projectFilter,
+  accessibleProjectIds,
+  assignmentFilter,
+  canAccessAssignment,
+  assignmentReadCheck,
+  canViewEngineer,
+  canReviewTimeOff,
+  engineerFilter
+};
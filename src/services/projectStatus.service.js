@@ -0,0 +1,92 @@
+const Assignment = require('../models/assignment.model');
+const Project = require('../models/project.model');
+const { snapshot, recordAudit } = require('./audit.service');
+const { publish } = require('./events.service');
+const { BadRequestError } = require('./errors.service');
+
+// Project statuses that release the team
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Assignment statuses that still hold or may still hold a place on the team
+const OPEN_ASSIGNMENT_STATUSES = ['proposed', 'accepted', 'active'];
+
+class ProjectStatusError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: 'INVALID_STATUS_TRANSITION' });
+    this.name = 'ProjectStatusError';
+  }
+}
+
+// Move a project to a new status, enforcing the allowed transitions and required reasons.
+// The caller saves the project.
+const changeProjectStatus = (project, status, { user, reason } = {}) => {
+  if (!project.canTransitionTo(status)) {
+    const allowed = Project.STATUS_TRANSITIONS[project.status];
+    throw new ProjectStatusError(
+      `Cannot change status from ${project.status} to ${status}` +
+      (allowed.length ? `; allowed: ${allowed.join(', ')}` : '')
+    );
+  }
+
+  if (Project.requiresReason(project.status, status) && !reason) {
+    throw new ProjectStatusError(`A reason is required to change status from ${project.status} to ${status}`);
+  }
+
+  project.transitionTo(status, { user, reason });
+};
+
+// Assignments may only be created or accepted on planning and active projects
+const assertStaffable = project => {
+  if (!project.isStaffable()) {
+    throw new ProjectStatusError(`Cannot staff a ${project.status.replace('_', ' ')} project`);
+  }
+};
+
+// Release the team of a completed or cancelled project. Assignments that have started are
+// trimmed to now and ended; proposals and assignments that have not started are declined.
+const closeOpenAssignments = async (project, user, now = new Date()) => {
+  const assignments = await Assignment.find({
+    projectId: project._id,
+    status: { $in: OPEN_ASSIGNMENT_STATUSES }
+  });
+
+  const comment = `Project ${project.status}`;
+  const result = { ended: [], declined: [] };
+
+  for (const assignment of assignments) {
+    const before = snapshot(assignment);
+
+    if (assignment.status !== 'proposed' && assignment.startDate < now) {
+      if (assignment.endDate > now) {
+        assignment.endDate = now;
+      }
+      assignment.transitionTo('ended', { user, comment });
+      result.ended.push(assignment._id);
+    } else {
+      assignment.transitionTo('declined', { user, comment });
+      result.declined.push(assignment._id);
+    }
+
+    // Only the changed paths are validated: shortening or releasing never adds load
+    await assignment.save({ validateModifiedOnly: true });
+    await recordAudit({
+      actor: user,
+      action: 'update',
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      before,
+      after: assignment
+    });
+    publish('assignment.updated', { assignment, previous: before }, { actor: user });
+  }
+
+  return result;
+};
+
+module.exports = {
+  CLOSED_STATUSES,
+  ProjectStatusError,
+  changeProjectStatus,
+  assertStaffable,
+  closeOpenAssignments
+};
@@ -0,0 +1,108 @@
+const RateLimitCounter = require('../models/rateLimitCounter.model');
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Fixed-window counters in process memory. Every instance counts on its own,
+// so use the Mongo store when running more than one.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  }, PRUNE_INTERVAL_MS).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+// Fixed-window counters shared by every instance through MongoDB
+const createMongoStore = () => {
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+    if (counter) {
+      return { count: counter.count, resetAt: counter.resetAt };
+    }
+
+    // No open window: start one. If another request just did, the upsert collides
+    // with its counter and we count against that instead.
+    try {
+      const fresh = await RateLimitCounter.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      );
+      return { count: fresh.count, resetAt: fresh.resetAt };
+    } catch (error) {
+      if (error.code === 11000) {
+        return increment(key, windowMs);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    increment,
+
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
+
+// Counter stores selectable through RATE_LIMIT_STORE
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store;
+
+// The configured store, created on first use. Defaults to memory.
+const getStore = () => {
+  if (!store) {
+    store = (STORES[process.env.RATE_LIMIT_STORE] || STORES.memory)();
+  }
+  return store;
+};
+
+// Replace the store with any object providing increment(key, windowMs) and reset(key)
+const setStore = custom => {
+  store = custom;
+};
+
+// Count a hit against a key in its current window
+const hit = (key, windowMs) => getStore().increment(key, windowMs);
+
+const resetKey = key => getStore().reset(key);
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  setStore,
+  hit,
+  resetKey
+};
@@ -0,0 +1,423 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/assignment.model');
+const Project = require('../models/project.model');
+const Scenario = require('../models/scenario.model');
+const { findOverallocatedPeriods, lockEngineers } = require('./allocation.service');
+const { snapshot, diff, recordAudit } = require('./audit.service');
+const { publish } = require('./events.service');
+const { projectFilter } = require('./policy.service');
+const { assertStaffable } = require('./projectStatus.service');
+const { BadRequestError, ConflictError } = require('./errors.service');
+
+const ASSIGNMENT_FIELDS = ['engineerId', 'projectId', 'phaseId', 'allocationPercentage', 'startDate', 'endDate', 'role'];
+const REQUIRED_FIELDS = ['engineerId', 'projectId', 'allocationPercentage', 'startDate', 'endDate', 'role'];
+
+class ScenarioError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: 'INVALID_SCENARIO_CHANGE' });
+    this.name = 'ScenarioError';
+  }
+}
+
+// The scenario no longer applies cleanly to live data
+class ScenarioConflictError extends ConflictError {
+  constructor(message, details) {
+    super(message, { code: 'SCENARIO_CONFLICT', details });
+    this.name = 'ScenarioConflictError';
+  }
+}
+
+// Cast request input to assignment field types so drafts behave like stored assignments
+const castData = data => {
+  const unknown = Object.keys(data).filter(field => !ASSIGNMENT_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new ScenarioError(`Unknown assignment fields: ${unknown.join(', ')}`);
+  }
+
+  const cast = { ...data };
+  ['engineerId', 'projectId', 'phaseId'].forEach(field => {
+    if (cast[field]) {
+      cast[field] = new mongoose.Types.ObjectId(cast[field]);
+    }
+  });
+  ['startDate', 'endDate'].forEach(field => {
+    if (cast[field]) {
+      cast[field] = new Date(cast[field]);
+    }
+  });
+  if (cast.allocationPercentage !== undefined) {
+    cast.allocationPercentage = Number(cast.allocationPercentage);
+  }
+  return cast;
+};
+
+// Draft scenario owned by the user, or null
+const findDraftScenario = (scenarioId, user) => Scenario.findOne({
+  _id: scenarioId,
+  ownerId: user._id,
+  status: 'draft'
+});
+
+// Live assignments referenced by updates and deletes, keyed by id
+const loadLiveAssignments = async (scenario, session = null) => {
+  const ids = scenario.changes.filter(change => change.assignmentId).map(change => change.assignmentId);
+  const assignments = await Assignment.find({ _id: { $in: ids } }).session(session);
+  return new Map(assignments.map(assignment => [assignment._id.toString(), assignment]));
+};
+
+// State of an assignment once the change is applied (null for deletes)
+const draftOf = (change, live) => {
+  if (change.operation === 'create') {
+    return { _id: change._id, status: 'proposed', ...change.data };
+  }
+  if (change.operation === 'update' && live) {
+    return { ...live.toObject(), ...change.data };
+  }
+  return null;
+};
+
+// Options for checkAllocation that replace live assignments with the scenario's drafts
+const buildOverlay = async (scenario, session = null) => {
+  const live = await loadLiveAssignments(scenario, session);
+  return {
+    live,
+    excludeAssignmentIds: scenario.changes
+      .filter(change => change.assignmentId)
+      .map(change => change.assignmentId),
+    additionalAssignments: scenario.changes
+      .map(change => draftOf(change, live.get(change.assignmentId?.toString())))
+      .filter(Boolean)
+  };
+};
+
+// Overlay for a draft scenario owned by the user, or null when there is no such scenario
+const loadScenarioOverlay = async (scenarioId, user) => {
+  if (!mongoose.isValidObjectId(scenarioId)) {
+    return null;
+  }
+  const scenario = await findDraftScenario(scenarioId, user);
+  if (!scenario) {
+    return null;
+  }
+  const { excludeAssignmentIds, additionalAssignments } = await buildOverlay(scenario);
+  return { excludeAssignmentIds, additionalAssignments };
+};
+
+// Apply an overlay to a list of live assignments for one engineer and date range
+const overlayAssignments = (assignments, overlay, { engineerId, startDate, endDate }) => {
+  const excluded = new Set(overlay.excludeAssignmentIds.map(id => id.toString()));
+  return assignments
+    .filter(assignment => !excluded.has(assignment._id.toString()))
+    .concat(overlay.additionalAssignments.filter(assignment =>
+      assignment.engineerId.toString() === engineerId.toString() &&
+      !Assignment.nonReservingStatuses().includes(assignment.status) &&
+      assignment.startDate <= endDate &&
+      assignment.endDate >= startDate
+    ));
+};
+
+const assertManagesProjects = async (projectIds, user) => {
+  const ids = [...new Set(projectIds.filter(Boolean).map(id => id.toString()))];
+  const managed = await Project.countDocuments({
+    ...await projectFilter(user, 'manage'),
+    _id: { $in: ids }
+  });
+  if (managed !== ids.length) {
+    throw new ScenarioError('Not authorized to change assignments on this project');
+  }
+};
+
+// Run the schema validators on a draft. Capacity is checked separately against the whole
+// scenario, because the assignment model's stored-data capacity check cannot see it.
+const validateDraft = async draft => {
+  const doc = new Assignment(draft);
+  await doc.validate({ pathsToSkip: ['allocationPercentage'] });
+  return doc;
+};
+
+// Add a draft create, update or delete. Repeated updates to the same assignment are merged
+// and a delete replaces an earlier update.
+const addChange = async (scenario, user, { operation, assignmentId, data = {} }) => {
+  const changeData = castData(data);
+  const existing = assignmentId
+    ? scenario.changes.find(change => change.assignmentId?.toString() === assignmentId.toString())
+    : null;
+
+  if (existing?.operation === 'delete') {
+    throw new ScenarioError('Assignment is already deleted in this scenario');
+  }
+
+  if (operation === 'create') {
+    const missing = REQUIRED_FIELDS.filter(field => changeData[field] === undefined);
+    if (missing.length) {
+      throw new ScenarioError(`Missing assignment fields: ${missing.join(', ')}`);
+    }
+    await assertManagesProjects([changeData.projectId], user);
+    await validateDraft(changeData);
+    scenario.changes.push({ operation, data: changeData });
+    return scenario.save();
+  }
+
+  const live = await Assignment.findById(assignmentId);
+  if (!live) {
+    throw new ScenarioError('Assignment not found');
+  }
+  await assertManagesProjects([live.projectId, changeData.projectId], user);
+
+  if (operation === 'delete') {
+    if (existing) {
+      scenario.changes.pull(existing._id);
+    }
+    scenario.changes.push({ operation, assignmentId });
+    return scenario.save();
+  }
+
+  if (!Object.keys(changeData).length) {
+    throw new ScenarioError('No assignment fields to update');
+  }
+
+  const merged = { ...(existing?.data || {}), ...changeData };
+  await validateDraft({ ...live.toObject({ depopulate: true }), ...merged });
+
+  if (existing) {
+    existing.data = merged;
+    scenario.markModified('changes');
+  } else {
+    scenario.changes.push({ operation, assignmentId, data: merged });
+  }
+  return scenario.save();
+};
+
+// Engineers whose load the scenario changes, with the date range each change touches
+const affectedRanges = (scenario, live) => {
+  const ranges = new Map();
+  const extend = assignment => {
+    const key = assignment.engineerId.toString();
+    const range = ranges.get(key) || { engineerId: assignment.engineerId, startDate: assignment.startDate, endDate: assignment.endDate };
+    range.startDate = new Date(Math.min(range.startDate, assignment.startDate));
+    range.endDate = new Date(Math.max(range.endDate, assignment.endDate));
+    ranges.set(key, range);
+  };
+
+  scenario.changes.forEach(change => {
+    const before = live.get(change.assignmentId?.toString());
+    const after = draftOf(change, before);
+    [before, after].filter(Boolean).forEach(extend);
+  });
+
+  return Array.from(ranges.values());
+};
+
+// Compare the scenario with live data: per-change field diffs and per-engineer peak load
+// and over-allocated periods before and after.
+const diffScenario = async scenario => {
+  const overlay = await buildOverlay(scenario);
+
+  const changes = scenario.changes.map(change => {
+    const live = overlay.live.get(change.assignmentId?.toString());
+    const before = live ? snapshot(live) : null;
+    const after = draftOf(change, live);
+
+    return {
+      _id: change._id,
+      operation: change.operation,
+      assignmentId: change.assignmentId,
+      stale: Boolean(change.assignmentId && !live),
+      before,
+      after: after ? snapshot(after) : null,
+      fields: before && after ? diff(before, snapshot(after)) : undefined
+    };
+  });
+
+  const engineers = await Promise.all(affectedRanges(scenario, overlay.live).map(async range => {
+    const [live, draft] = await Promise.all([
+      findOverallocatedPeriods(range.engineerId, range.startDate, range.endDate),
+      findOverallocatedPeriods(range.engineerId, range.startDate, range.endDate, overlay)
+    ]);
+
+    return {
+      ...range,
+      maxCapacity: live.maxCapacity,
+      live: { peakAllocation: live.peakAllocation, overallocatedPeriods: live.periods },
+      scenario: { peakAllocation: draft.peakAllocation, overallocatedPeriods: draft.periods }
+    };
+  }));
+
+  return {
+    scenario: {
+      _id: scenario._id,
+      name: scenario.name,
+      status: scenario.status
+    },
+    changes,
+    engineers
+  };
+};
+
+// Re-run every check against the current live data: referenced assignments still exist,
+// the user still manages the projects, schema validators pass and no engineer touched by
+// a draft goes above maxCapacity. Returns the planned writes.
+const planApply = async (scenario, user, overlay, session = null) => {
+  const errors = [];
+  const writes = [];
+
+  for (const change of scenario.changes) {
+    const live = overlay.live.get(change.assignmentId?.toString());
+    if (change.assignmentId && !live) {
+      errors.push({ changeId: change._id, message: 'Assignment no longer exists' });
+      continue;
+    }
+
+    if (change.operation === 'delete') {
+      writes.push({ change, live });
+      continue;
+    }
+
+    const draft = draftOf(change, live);
+    try {
+      const doc = await validateDraft(draft);
+      writes.push({ change, live, doc });
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      errors.push({ changeId: change._id, message: error.message });
+    }
+  }
+
+  try {
+    await assertManagesProjects(writes.flatMap(({ live, doc }) => [live?.projectId, doc?.projectId]), user);
+  } catch (error) {
+    errors.push({ message: error.message });
+  }
+
+  // Creates and moves staff the target project, which has to be open
+  const staffedIds = writes
+    .filter(({ change }) => change.operation === 'create' || change.data?.projectId)
+    .map(({ doc }) => doc.projectId);
+  const staffed = await Project.find({ _id: { $in: staffedIds } }).select('status').session(session);
+  staffed.forEach(assertStaffable);
+
+  const draftIds = new Set(overlay.additionalAssignments.map(assignment => assignment._id.toString()));
+  const ranges = affectedRanges(scenario, overlay.live);
+
+  for (const range of ranges) {
+    const { maxCapacity, periods } = await findOverallocatedPeriods(
+      range.engineerId,
+      range.startDate,
+      range.endDate,
+      { ...overlay, session }
+    );
+    const caused = periods.filter(period =>
+      period.assignmentIds.some(id => draftIds.has(id.toString()))
+    );
+
+    if (caused.length) {
+      errors.push({
+        engineerId: range.engineerId,
+        message: 'Engineer would exceed their maximum capacity',
+        maxCapacity,
+        periods: caused
+      });
+    }
+  }
+
+  if (errors.length) {
+    throw new ScenarioConflictError('Scenario cannot be applied', errors);
+  }
+
+  return writes;
+};
+
+// Check and apply every change in one transaction. The capacity checks read inside it and
+// hold the affected engineers' locks, and writes are guarded by updatedAt, so anything
+// modified concurrently aborts (or retries) the whole scenario.
+const applyScenario = async (scenario, user) => {
+  const session = await mongoose.startSession();
+  let writes = [];
+
+  try {
+    await session.withTransaction(async () => {
+      const overlay = await buildOverlay(scenario, session);
+      await lockEngineers(affectedRanges(scenario, overlay.live).map(range => range.engineerId), session);
+      writes = await planApply(scenario, user, overlay, session);
+
+      const claimed = await Scenario.updateOne(
+        { _id: scenario._id, status: 'draft', updatedAt: scenario.updatedAt },
+        { $set: { status: 'applied', appliedAt: new Date(), appliedBy: user._id } },
+        { session }
+      );
+      if (!claimed.modifiedCount) {
+        throw new ScenarioConflictError('Scenario was modified while it was being applied');
+      }
+
+      for (const { change, live, doc } of writes) {
+        if (change.operation === 'create') {
+          const payload = doc.toObject();
+          payload._id = change._id;
+          payload.statusHistory = [{
+            status: 'proposed',
+            comment: `Applied from scenario "${scenario.name}"`,
+            changedBy: user._id
+          }];
+          await Assignment.create([payload], { session, validateBeforeSave: false });
+          continue;
+        }
+
+        const guard = { _id: live._id, updatedAt: live.updatedAt };
+        const result = change.operation === 'update'
+          ? await Assignment.updateOne(guard, { $set: change.data }, { session })
+          : await Assignment.deleteOne(guard, { session });
+
+        if (!(result.matchedCount ?? result.deletedCount)) {
+          throw new ScenarioConflictError('An assignment was modified while the scenario was being applied');
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  for (const { change, live } of writes) {
+    const assignmentId = change.operation === 'create' ? change._id : live._id;
+    const assignment = change.operation === 'delete' ? null : await Assignment.findById(assignmentId);
+
+    await recordAudit({
+      actor: user,
+      action: change.operation,
+      entityType: 'Assignment',
+      entityId: assignmentId,
+      before: live,
+      after: assignment
+    });
+
+    if (change.operation === 'create') {
+      publish('assignment.created', { assignment }, { actor: user });
+    } else if (change.operation === 'update') {
+      publish('assignment.updated', { assignment, previous: snapshot(live) }, { actor: user });
+    } else {
+      publish('assignment.deleted', { assignment: live }, { actor: user });
+    }
+  }
+
+  const count = operation => writes.filter(({ change }) => change.operation === operation).length;
+  return {
+    scenario: await Scenario.findById(scenario._id),
+    applied: {
+      created: count('create'),
+      updated: count('update'),
+      deleted: count('delete')
+    }
+  };
+};
+
+module.exports = {
+  ScenarioError,
+  ScenarioConflictError,
+  findDraftScenario,
+  loadScenarioOverlay,
+  overlayAssignments,
+  addChange,
+  diffScenario,
+  applyScenario
+};
@@ -0,0 +1,93 @@
+const Skill = require('../models/skill.model');
+const { BadRequestError } = require('./errors.service');
+
+class SkillError extends BadRequestError {
+  constructor(message) {
+    super(message, { code: 'SKILL_NAME_TAKEN' });
+    this.name = 'SkillError';
+  }
+}
+
+const findByNames = names => {
+  const keys = [...new Set(names.map(Skill.normalizeName))];
+  return Skill.find({
+    $or: [
+      { key: { $in: keys } },
+      { aliases: { $in: keys } }
+    ]
+  });
+};
+
+// Map each normalized name or alias to its catalogue entry
+const buildLookup = skills => {
+  const lookup = new Map();
+  skills.forEach(skill => {
+    lookup.set(skill.key, skill);
+    skill.aliases.forEach(alias => lookup.set(alias, skill));
+  });
+  return lookup;
+};
+
+// Catalogue ids for a list of names or aliases; unknown names are ignored
+const resolveSkillIds = async names => {
+  const skills = await findByNames(names);
+  return skills.map(skill => skill._id);
+};
+
+// Condition on a skill list path matching any of the named skills (aliases included),
+// optionally at or above a level. levelField is 'level' for engineers, 'minLevel' for projects.
+const skillFilter = async (names, levelField, minLevel) => {
+  const match = { skill: { $in: await resolveSkillIds(names) } };
+  if (minLevel) {
+    match[levelField] = { $gte: minLevel };
+  }
+  return { $elemMatch: match };
+};
+
+// Fill in `skill` (and the canonical `name`) for entries given only by name.
+// Returns the names that are not in the catalogue.
+const resolveSkillEntries = async entries => {
+  const unresolved = entries.filter(entry => !entry.skill);
+  if (!unresolved.length) {
+    return [];
+  }
+
+  const lookup = buildLookup(await findByNames(unresolved.map(entry => entry.name)));
+  const unknown = [];
+
+  unresolved.forEach(entry => {
+    const skill = lookup.get(Skill.normalizeName(entry.name));
+    if (skill) {
+      entry.skill = skill._id;
+      entry.name = skill.name;
+    } else {
+      unknown.push(entry.name);
+    }
+  });
+
+  return unknown;
+};
+
+// Reject names or aliases that already belong to another skill
+const assertUniqueNames = async (skill) => {
+  const keys = [Skill.normalizeName(skill.name), ...skill.aliases.map(Skill.normalizeName)];
+  const clash = await Skill.findOne({
+    _id: { $ne: skill._id },
+    $or: [
+      { key: { $in: keys } },
+      { aliases: { $in: keys } }
+    ]
+  });
+
+  if (clash) {
+    throw new SkillError(`Name or alias already used by skill "${clash.name}"`);
+  }
+};
+
+module.exports = {
+  SkillError,
+  resolveSkillIds,
+  skillFilter,
+  resolveSkillEntries,
+  assertUniqueNames
+};
@@ -0,0 +1,138 @@
+const Assignment = require('../models/assignment.model');
+const Project = require('../models/project.model');
+const { buildTimeline, toDay, fromDay } = require('./allocation.service');
+const { matchSkills } = require('./candidate.service');
+const { projectFilter } = require('./policy.service');
+
+// Urgency levels, most urgent first, with how soon (in days) an under-staffed range must
+// start to reach the level. Missing skills alone are 'low'.
+const URGENCY_LEVELS = ['critical', 'high', 'medium', 'low', 'none'];
+const URGENCY_WINDOWS = { critical: 14, high: 30, medium: 90 };
+
+const SORT_FIELDS = ['urgency', 'startDate', 'headcountGap', 'name'];
+
+// Statuses of projects that are still being staffed
+const STAFFING_STATUSES = ['planning', 'active'];
+
+const toRange = segment => ({
+  startDate: fromDay(segment.start),
+  endDate: fromDay(segment.end - 1),
+  headcount: segment.headcount
+});
+
+const urgencyOf = (daysUntilGap, missingSkills) => {
+  if (daysUntilGap === null) {
+    return missingSkills.length ? 'low' : 'none';
+  }
+  const level = Object.keys(URGENCY_WINDOWS).find(key => daysUntilGap <= URGENCY_WINDOWS[key]);
+  return level || 'low';
+};
+
+// Target teamSize against concurrent headcount over the project, plus required skills that
+// no assigned engineer has. Urgency depends on how soon the next under-staffed range starts.
+const analyzeProject = (project, assignments, today) => {
+  const timeline = buildTimeline(assignments, project.startDate, project.endDate, () => 0)
+    .map(segment => ({
+      ...segment,
+      headcount: new Set(segment.items.map(item => item.engineerId._id.toString())).size
+    }));
+
+  const understaffed = timeline.filter(segment => segment.headcount < project.teamSize);
+  const overstaffed = timeline.filter(segment => segment.headcount > project.teamSize);
+
+  const engineers = new Map();
+  assignments.forEach(assignment => {
+    engineers.set(assignment.engineerId._id.toString(), assignment.engineerId);
+  });
+  const { missingSkills } = matchSkills(
+    Array.from(engineers.values()).flatMap(engineer => engineer.skills || []),
+    project.requiredSkills || []
+  );
+
+  // Only gaps that have not already passed count towards urgency
+  const upcoming = understaffed.find(segment => segment.end > today);
+  const daysUntilGap = upcoming ? Math.max(0, upcoming.start - today) : null;
+  const headcountGap = upcoming
+    ? Math.max(...understaffed
+      .filter(segment => segment.end > today)
+      .map(segment => project.teamSize - segment.headcount))
+    : 0;
+
+  return {
+    project: {
+      _id: project._id,
+      name: project.name,
+      status: project.status,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      manager: project.managerId
+    },
+    teamSize: project.teamSize,
+    currentTeamSize: project.currentTeamSize || 0,
+    headcountGap,
+    nextGapStartDate: upcoming ? fromDay(Math.max(upcoming.start, today)) : null,
+    daysUntilGap,
+    urgency: urgencyOf(daysUntilGap, missingSkills),
+    understaffed: understaffed.map(toRange),
+    overstaffed: overstaffed.map(toRange),
+    requiredSkills: project.requiredSkills || [],
+    missingSkills
+  };
+};
+
+const compare = {
+  urgency: (a, b) => URGENCY_LEVELS.indexOf(a.urgency) - URGENCY_LEVELS.indexOf(b.urgency) ||
+    (a.daysUntilGap ?? Infinity) - (b.daysUntilGap ?? Infinity) ||
+    b.headcountGap - a.headcountGap,
+  startDate: (a, b) => a.project.startDate - b.project.startDate,
+  headcountGap: (a, b) => b.headcountGap - a.headcountGap,
+  name: (a, b) => a.project.name.localeCompare(b.project.name)
+};
+
+// Staffing gaps for every planning or active project the user can read (all of them for admins),
+// filtered to at least minUrgency and sorted by the given field.
+const findStaffingGaps = async ({ user, status, minUrgency = 'none', sort = 'urgency', now = new Date() }) => {
+  const query = {
+    ...await projectFilter(user),
+    status: status ? status : { $in: STAFFING_STATUSES }
+  };
+
+  const projects = await Project.find(query)
+    .populate('managerId', 'name email')
+    .populate('currentTeamSize');
+
+  const assignments = await Assignment.find({
+    projectId: { $in: projects.map(project => project._id) },
+    status: { $nin: Assignment.nonReservingStatuses() }
+  }).populate('engineerId', 'name skills');
+
+  const byProject = new Map();
+  assignments
+    .filter(assignment => assignment.engineerId)
+    .forEach(assignment => {
+      const key = assignment.projectId.toString();
+      byProject.set(key, (byProject.get(key) || []).concat(assignment));
+    });
+
+  const today = toDay(now);
+  const maxLevel = URGENCY_LEVELS.indexOf(minUrgency);
+
+  const gaps = projects
+    .map(project => analyzeProject(project, byProject.get(project._id.toString()) || [], today))
+    .filter(gap => URGENCY_LEVELS.indexOf(gap.urgency) <= maxLevel)
+    .sort((a, b) => compare[sort](a, b) || compare.name(a, b));
+
+  return {
+    generatedAt: now,
+    asOf: fromDay(today),
+    total: gaps.length,
+    projects: gaps
+  };
+};
+
+module.exports = {
+  URGENCY_LEVELS,
+  SORT_FIELDS,
+  STAFFING_STATUSES,
+  findStaffingGaps
+};
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Project = require('../models/project.model');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const StreamEvent = require('../models/streamEvent.model');
+const { subscribe } = require('./events.service');
+const { logger } = require('./logger.service');
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+const MAX_REPLAY = 1000;
+
+const clients = new Set();
+
+const idOf = value => (value && value._id ? value._id : value);
+
+// Everyone a project is visible to besides engineers: its manager and shared members
+const projectAudience = project => [
+  idOf(project.managerId),
+  ...(project.members || []).map(member => idOf(member.userId))
+];
+
+// Work out who may see an event: the engineer, project manager and project members involved,
+// the user themselves for user events; managers see engineer-level events.
+const buildAudience = async event => {
+  const { type, data } = event;
+  const userIds = [];
+  const roles = [];
+
+  if (type.startsWith('project.')) {
+    userIds.push(...projectAudience(data.project));
+  } else if (type.startsWith('assignment.')) {
+    const assignment = data.assignment;
+    userIds.push(idOf(assignment.engineerId));
+    const project = await Project.findById(idOf(assignment.projectId)).select('managerId members');
+    if (project) {
+      userIds.push(...projectAudience(project));
+    }
+  } else if (type.startsWith('user.')) {
+    userIds.push(data.user._id);
+    if (data.user.role === 'engineer') {
+      roles.push('manager');
+    }
+  } else if (type === 'engineer.overallocated') {
+    userIds.push(data.engineerId);
+    roles.push('manager');
+  }
+
+  return { userIds: userIds.filter(Boolean), roles };
+};
+
+const canSee = (user, streamEvent) => user.role === 'admin'
+  || streamEvent.audience.roles.includes(user.role)
+  || streamEvent.audience.userIds.some(id => id.toString() === user._id.toString());
+
+const write = (res, streamEvent) => {
+  res.write(`id: ${streamEvent._id}\n`);
+  res.write(`event: ${streamEvent.type}\n`);
+  res.write(`data: ${JSON.stringify({ ...streamEvent.data, occurredAt: streamEvent.occurredAt })}\n\n`);
+};
+
+// Persist an event for replay and push it to every connected client allowed to see it
+const broadcast = async event => {
+  const streamEvent = await StreamEvent.create({
+    type: event.type,
+    data: event.data,
+    audience: await buildAudience(event),
+    occurredAt: event.occurredAt
+  });
+
+  clients.forEach(client => {
+    if (!canSee(client.user, streamEvent)) {
+      return;
+    }
+    // Held back while the client is still being sent its missed events
+    if (client.pending) {
+      client.pending.push(streamEvent);
+    } else {
+      write(client.res, streamEvent);
+    }
+  });
+};
+
+// Events the user may see that were stored after lastEventId
+const findMissedEvents = (user, lastEventId) => {
+  const query = { _id: { $gt: lastEventId } };
+  if (user.role !== 'admin') {
+    query.$or = [
+      { 'audience.userIds': user._id },
+      { 'audience.roles': user.role }
+    ];
+  }
+  return StreamEvent.find(query).sort({ _id: 1 }).limit(MAX_REPLAY);
+};
+
+// A stream is authenticated once when it opens, so heartbeats re-check that its session is
+// still live and the user still active. Resolves to the current user, or null to disconnect.
+const currentUser = async client => {
+  const [session, user] = await Promise.all([
+    Session.findById(client.sessionId),
+    User.findById(client.user._id)
+  ]);
+  return session?.isActive() && user?.isActive ? user : null;
+};
+
+// Attach an SSE connection, replaying anything missed since Last-Event-ID
+const openStream = async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const replay = lastEventId && mongoose.isValidObjectId(lastEventId);
+
+  // Register before replaying so nothing broadcast in between is lost; live events are
+  // buffered until the replay is written and skipped if the replay already had them
+  const client = { user: req.user, sessionId: req.session._id, res, pending: replay ? [] : null };
+  clients.add(client);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  };
+
+  // Logging out, revoking the session or deactivating the user ends the stream
+  const heartbeat = setInterval(async () => {
+    try {
+      const user = await currentUser(client);
+      if (!user) {
+        close();
+        res.end();
+        return;
+      }
+      client.user = user;
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      logger.warn('Failed to re-check stream session', { error });
+    }
+  }, HEARTBEAT_MS);
+
+  req.on('close', close);
+
+  if (replay) {
+    try {
+      const missed = await findMissedEvents(req.user, lastEventId);
+      missed.forEach(streamEvent => write(res, streamEvent));
+
+      const sent = new Set(missed.map(streamEvent => streamEvent._id.toString()));
+      client.pending
+        .filter(streamEvent => !sent.has(streamEvent._id.toString()))
+        .forEach(streamEvent => write(res, streamEvent));
+    } finally {
+      client.pending = null;
+    }
+  }
+};
+
+const startStreamBroadcaster = () => subscribe(event => {
+  broadcast(event).catch(error => {
+    logger.error('Failed to stream event', { event: event.type, error });
+  });
+});
+
+module.exports = {
+  openStream,
+  startStreamBroadcaster
+};
@@ -0,0 +1,287 @@
+const Assignment = require('../models/assignment.model');
+const TimesheetEntry = require('../models/timesheetEntry.model');
+const TimeOff = require('../models/timeOff.model');
+const { toDay, fromDay } = require('./allocation.service');
+const { MAX_BUCKETS, buildBuckets } = require('./utilization.service');
+const { accessibleProjectIds } = require('./policy.service');
+const { BadRequestError } = require('./errors.service');
+
+const WORKING_DAYS_PER_WEEK = 5;
+const DEFAULT_THRESHOLD = 20;
+
+// Consecutive buckets off plan in the same direction before a trend counts as chronic
+const CHRONIC_BUCKETS = 3;
+
+// Assignment statuses that form the agreed plan
+const PLANNED_STATUSES = ['accepted', 'active', 'ended'];
+
+const hoursPerDay = () => parseFloat(process.env.WORK_HOURS_PER_DAY) || 8;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Day numbers are days since 1970-01-01, which was a Thursday
+const isWorkingDay = day => ![0, 6].includes((day + 4) % 7);
+
+// Monday to Friday days in [startDay, endDay]
+const countWorkingDays = (startDay, endDay) => {
+  if (endDay < startDay) {
+    return 0;
+  }
+  const fullWeeks = Math.floor((endDay - startDay + 1) / 7);
+  let count = fullWeeks * WORKING_DAYS_PER_WEEK;
+  for (let day = startDay + fullWeeks * 7; day <= endDay; day++) {
+    if (isWorkingDay(day)) {
+      count++;
+    }
+  }
+  return count;
+};
+
+// Days covered by an entry: one day, or Monday to Sunday for weekly entries
+const entryDays = entry => {
+  const startDay = toDay(entry.date);
+  return { startDay, endDay: entry.period === 'week' ? startDay + 6 : startDay };
+};
+
+// Store entries at UTC midnight of the day logged; weekly entries must give the Monday
+const entryDate = date => fromDay(toDay(date));
+
+// Whether an entry falls (at least partly) within its assignment
+const entryWithinAssignment = (entry, assignment) => {
+  const { startDay, endDay } = entryDays(entry);
+  return startDay <= toDay(assignment.endDate) && endDay >= toDay(assignment.startDate);
+};
+
+// Another entry for the same assignment covering any of the entry's days, e.g. a weekly
+// entry for a week that already has daily entries
+const findOverlappingEntry = entry => {
+  const { startDay, endDay } = entryDays(entry);
+  return TimesheetEntry.findOne({
+    _id: { $ne: entry._id },
+    assignmentId: entry.assignmentId,
+    $or: [
+      { period: 'day', date: { $gte: fromDay(startDay), $lte: fromDay(endDay) } },
+      { period: 'week', date: { $gte: fromDay(startDay - 6), $lte: fromDay(endDay) } }
+    ]
+  });
+};
+
+// Planned hours for an assignment within [startDay, endDay]. Approved leave of the engineer
+// (timeOff) takes its percentage of each working day it covers off the plan.
+const plannedHours = (assignment, startDay, endDay, timeOff = []) => {
+  const from = Math.max(toDay(assignment.startDate), startDay);
+  const to = Math.min(toDay(assignment.endDate), endDay);
+  const leaveDays = timeOff.reduce((sum, entry) => sum + countWorkingDays(
+    Math.max(toDay(entry.startDate), from),
+    Math.min(toDay(entry.endDate), to)
+  ) * entry.percentage / 100, 0);
+  const workingDays = Math.max(0, countWorkingDays(from, to) - leaveDays);
+  return workingDays * hoursPerDay() * assignment.allocationPercentage / 100;
+};
+
+// Logged hours of an entry within [startDay, endDay]; weekly hours are spread over the working days
+const loggedHours = (entry, startDay, endDay) => {
+  const days = entryDays(entry);
+  if (entry.period !== 'week') {
+    return days.startDay >= startDay && days.startDay <= endDay ? entry.hours : 0;
+  }
+  const overlap = countWorkingDays(Math.max(days.startDay, startDay), Math.min(days.endDay, endDay));
+  return entry.hours * overlap / WORKING_DAYS_PER_WEEK;
+};
+
+const variancePercentage = (planned, actual) => {
+  if (planned) {
+    return round((actual - planned) / planned * 100);
+  }
+  return actual ? null : 0;
+};
+
+// Direction of a bucket against the threshold: 'over', 'under' or null when on plan
+const direction = (bucket, threshold) => {
+  if (!bucket.plannedHours) {
+    return bucket.actualHours ? 'over' : null;
+  }
+  if (bucket.variancePercentage > threshold) {
+    return 'over';
+  }
+  if (bucket.variancePercentage < -threshold) {
+    return 'under';
+  }
+  return null;
+};
+
+// 'over' or 'under' when the longest run of buckets off plan in one direction is chronic
+const trendOf = (buckets, threshold) => {
+  let longest = { direction: null, length: 0 };
+  let current = { direction: null, length: 0 };
+
+  buckets.forEach(bucket => {
+    const bucketDirection = direction(bucket, threshold);
+    current = bucketDirection && bucketDirection === current.direction
+      ? { direction: bucketDirection, length: current.length + 1 }
+      : { direction: bucketDirection, length: bucketDirection ? 1 : 0 };
+    if (current.length > longest.length) {
+      longest = current;
+    }
+  });
+
+  return longest.length >= CHRONIC_BUCKETS ? longest.direction : 'on_plan';
+};
+
+const finalizeRow = (row, threshold) => {
+  const buckets = row.buckets.map(bucket => ({
+    key: bucket.key,
+    plannedHours: round(bucket.plannedHours),
+    actualHours: round(bucket.actualHours),
+    variance: round(bucket.actualHours - bucket.plannedHours),
+    variancePercentage: variancePercentage(bucket.plannedHours, bucket.actualHours)
+  }));
+  const planned = row.buckets.reduce((sum, bucket) => sum + bucket.plannedHours, 0);
+  const actual = row.buckets.reduce((sum, bucket) => sum + bucket.actualHours, 0);
+
+  return {
+    ...row.summary,
+    plannedHours: round(planned),
+    actualHours: round(actual),
+    variance: round(actual - planned),
+    variancePercentage: variancePercentage(planned, actual),
+    trend: trendOf(buckets, threshold),
+    buckets
+  };
+};
+
+// Rows furthest from plan first
+const byVariance = (a, b) => Math.abs(b.variance) - Math.abs(a.variance);
+
+// Compare logged hours with the hours implied by allocationPercentage, per engineer and
+// per project, bucketed by week or month. Only approved hours count unless includeSubmitted.
+const buildVarianceReport = async ({
+  startDate,
+  endDate,
+  interval = 'month',
+  user,
+  engineerId,
+  projectId,
+  includeSubmitted = false,
+  threshold = DEFAULT_THRESHOLD
+}) => {
+  const buckets = buildBuckets(startDate, endDate, interval);
+  if (buckets.length > MAX_BUCKETS) {
+    throw new BadRequestError(`Date range spans more than ${MAX_BUCKETS} buckets`, { code: 'RANGE_TOO_LARGE' });
+  }
+  const rangeStart = buckets[0].startDay;
+  const rangeEnd = buckets[buckets.length - 1].endDay;
+
+  const query = {
+    status: { $in: PLANNED_STATUSES },
+    startDate: { $lte: fromDay(rangeEnd) },
+    endDate: { $gte: fromDay(rangeStart) }
+  };
+  if (engineerId) {
+    query.engineerId = engineerId;
+  }
+  if (projectId) {
+    query.projectId = projectId;
+  }
+
+  // Managers report on the projects they can read
+  const readableIds = await accessibleProjectIds(user);
+  if (readableIds) {
+    query.projectId = projectId
+      ? { $in: readableIds.filter(id => id.equals(projectId)) }
+      : { $in: readableIds };
+  }
+
+  const assignments = (await Assignment.find(query)
+    .populate('engineerId', 'name email')
+    .populate('projectId', 'name status'))
+    .filter(assignment => assignment.engineerId && assignment.projectId);
+
+  // Weekly entries starting up to six days before the range still overlap it
+  const entries = await TimesheetEntry.find({
+    assignmentId: { $in: assignments.map(assignment => assignment._id) },
+    status: { $in: includeSubmitted ? ['approved', 'submitted'] : ['approved'] },
+    date: { $gte: fromDay(rangeStart - 6), $lte: fromDay(rangeEnd) }
+  });
+
+  const timeOff = await TimeOff.find({
+    engineerId: { $in: assignments.map(assignment => assignment.engineerId._id) },
+    status: 'approved',
+    startDate: { $lte: fromDay(rangeEnd) },
+    endDate: { $gte: fromDay(rangeStart) }
+  });
+
+  const timeOffByEngineer = new Map();
+  timeOff.forEach(entry => {
+    const key = entry.engineerId.toString();
+    timeOffByEngineer.set(key, (timeOffByEngineer.get(key) || []).concat(entry));
+  });
+
+  const entriesByAssignment = new Map();
+  entries.forEach(entry => {
+    const key = entry.assignmentId.toString();
+    entriesByAssignment.set(key, (entriesByAssignment.get(key) || []).concat(entry));
+  });
+
+  const engineers = new Map();
+  const projects = new Map();
+  const rowFor = (rows, key, summary) => {
+    if (!rows.has(key)) {
+      rows.set(key, {
+        summary,
+        buckets: buckets.map(bucket => ({ key: bucket.key, plannedHours: 0, actualHours: 0 }))
+      });
+    }
+    return rows.get(key);
+  };
+
+  assignments.forEach(assignment => {
+    const engineer = assignment.engineerId;
+    const project = assignment.projectId;
+    const assignmentEntries = entriesByAssignment.get(assignment._id.toString()) || [];
+    const engineerTimeOff = timeOffByEngineer.get(engineer._id.toString()) || [];
+    const engineerRow = rowFor(engineers, engineer._id.toString(), {
+      engineer: { _id: engineer._id, name: engineer.name, email: engineer.email }
+    });
+    const projectRow = rowFor(projects, project._id.toString(), {
+      project: { _id: project._id, name: project.name, status: project.status }
+    });
+
+    buckets.forEach((bucket, index) => {
+      const planned = plannedHours(assignment, bucket.startDay, bucket.endDay, engineerTimeOff);
+      const actual = assignmentEntries.reduce((sum, entry) =>
+        sum + loggedHours(entry, bucket.startDay, bucket.endDay), 0);
+
+      [engineerRow, projectRow].forEach(row => {
+        row.buckets[index].plannedHours += planned;
+        row.buckets[index].actualHours += actual;
+      });
+    });
+  });
+
+  return {
+    startDate: fromDay(rangeStart),
+    endDate: fromDay(rangeEnd),
+    interval,
+    hoursPerDay: hoursPerDay(),
+    threshold,
+    buckets: buckets.map(bucket => ({
+      key: bucket.key,
+      startDate: fromDay(bucket.startDay),
+      endDate: fromDay(bucket.endDay),
+      workingDays: countWorkingDays(bucket.startDay, bucket.endDay)
+    })),
+    engineers: Array.from(engineers.values()).map(row => finalizeRow(row, threshold)).sort(byVariance),
+    projects: Array.from(projects.values()).map(row => finalizeRow(row, threshold)).sort(byVariance)
+  };
+};
+
+module.exports = {
+  PLANNED_STATUSES,
+  DEFAULT_THRESHOLD,
+  entryDate,
+  entryWithinAssignment,
+  findOverlappingEntry,
+  countWorkingDays,
+  buildVarianceReport
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session.model');
+const { UnauthorizedError } = require('./errors.service');
+
+const ACCESS_TOKEN_EXPIRES_IN = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = () => process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+
+class TokenError extends UnauthorizedError {
+  constructor(message) {
+    super(message, { code: 'INVALID_REFRESH_TOKEN' });
+    this.name = 'TokenError';
+  }
+}
+
+const hashTokenId = tokenId => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, sid: session._id },
+  process.env.ACCESS_TOKEN_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN() }
+);
+
+const signRefreshToken = (user, session, tokenId) => jwt.sign(
+  { userId: user._id, sid: session._id },
+  process.env.REFRESH_TOKEN_SECRET,
+  { expiresIn: REFRESH_TOKEN_EXPIRES_IN(), jwtid: tokenId }
+);
+
+// Start a new session and issue its first access/refresh token pair
+const issueTokens = async (user, { userAgent, ip } = {}) => {
+  if (!process.env.ACCESS_TOKEN_SECRET || !process.env.REFRESH_TOKEN_SECRET) {
+    throw new Error('JWT secrets are not configured. Please check environment variables.');
+  }
+
+  const tokenId = crypto.randomUUID();
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashTokenId(tokenId),
+    expiresAt: new Date(),
+    userAgent,
+    ip
+  });
+
+  const refreshToken = signRefreshToken(user, session, tokenId);
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already-rotated token
+// revokes the whole session, since it means the token was copied.
+const rotateRefreshToken = async refreshToken => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+    throw new TokenError('Session is no longer valid');
+  }
+
+  const tokenId = crypto.randomUUID();
+  const user = { _id: session.userId };
+  const nextRefreshToken = signRefreshToken(user, session, tokenId);
+
+  // Swap the hash only if the presented token is still the current one, so of two
+  // concurrent refreshes with the same token exactly one succeeds
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashTokenId(decoded.jti), revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashTokenId(tokenId),
+        expiresAt: new Date(jwt.decode(nextRefreshToken).exp * 1000),
+        lastUsedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'reuse_detected');
+    throw new TokenError('Refresh token reuse detected');
+  }
+
+  return {
+    token: signAccessToken(user, rotated),
+    refreshToken: nextRefreshToken
+  };
+};
+
+const revokeSession = (sessionId, reason = 'logout') => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+const revokeAllSessions = (userId, reason = 'logout_all') => Session.updateMany(
+  { userId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+module.exports = {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,269 @@
+const Assignment = require('../models/assignment.model');
+const User = require('../models/user.model');
+const TimeOff = require('../models/timeOff.model');
+const { DAY_MS, DEFAULT_MAX_CAPACITY, toDay, fromDay } = require('./allocation.service');
+const { BadRequestError } = require('./errors.service');
+
+const INTERVALS = ['week', 'month'];
+const MAX_BUCKETS = 260;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Split [startDate, endDate] into week (Monday-based) or month buckets, clamped to the range
+const buildBuckets = (startDate, endDate, interval) => {
+  const rangeStart = toDay(startDate);
+  const rangeEnd = toDay(endDate);
+  const buckets = [];
+  let cursor = rangeStart;
+
+  while (cursor <= rangeEnd) {
+    const date = fromDay(cursor);
+    let bucketStart;
+    let nextStart;
+
+    if (interval === 'week') {
+      const offset = (date.getUTCDay() + 6) % 7;
+      bucketStart = cursor - offset;
+      nextStart = bucketStart + 7;
+    } else {
+      bucketStart = toDay(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+      nextStart = toDay(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    }
+
+    const startDay = Math.max(bucketStart, rangeStart);
+    const endDay = Math.min(nextStart - 1, rangeEnd);
+    const key = interval === 'week'
+      ? fromDay(bucketStart).toISOString().slice(0, 10)
+      : fromDay(bucketStart).toISOString().slice(0, 7);
+
+    buckets.push({ key, startDay, endDay, days: endDay - startDay + 1 });
+    cursor = nextStart;
+  }
+
+  return buckets;
+};
+
+// Sum percentage-days per engineer and bucket for all records of Model overlapping the range.
+// Used for assignment allocation (allocationPercentage) and approved leave (percentage).
+const aggregatePercentageDays = (Model, percentageField, buckets, match) => {
+  const dayNumber = field => ({
+    $floor: { $divide: [{ $toLong: field }, DAY_MS] }
+  });
+
+  return Model.aggregate([
+    {
+      $match: {
+        ...match,
+        startDate: { $lte: fromDay(buckets[buckets.length - 1].endDay + 1) },
+        endDate: { $gte: fromDay(buckets[0].startDay) }
+      }
+    },
+    {
+      $project: {
+        engineerId: 1,
+        percentage: `$${percentageField}`,
+        startDay: dayNumber('$startDate'),
+        endDay: dayNumber('$endDate'),
+        buckets: { $literal: buckets.map(({ key, startDay, endDay }) => ({ key, startDay, endDay })) }
+      }
+    },
+    { $unwind: '$buckets' },
+    {
+      $project: {
+        engineerId: 1,
+        percentage: 1,
+        bucket: '$buckets.key',
+        overlapDays: {
+          $add: [
+            {
+              $subtract: [
+                { $min: ['$endDay', '$buckets.endDay'] },
+                { $max: ['$startDay', '$buckets.startDay'] }
+              ]
+            },
+            1
+          ]
+        }
+      }
+    },
+    { $match: { overlapDays: { $gt: 0 } } },
+    {
+      $group: {
+        _id: { engineerId: '$engineerId', bucket: '$bucket' },
+        percentageDays: { $sum: { $multiply: ['$percentage', '$overlapDays'] } }
+      }
+    }
+  ]);
+};
+
+// Same result shape as aggregatePercentageDays for in-memory items such as scenario drafts
+const sumPercentageDays = (items, percentageField, buckets) => {
+  const totals = new Map();
+
+  items.forEach(item => {
+    const startDay = toDay(item.startDate);
+    const endDay = toDay(item.endDate);
+
+    buckets.forEach(bucket => {
+      const overlapDays = Math.min(endDay, bucket.endDay) - Math.max(startDay, bucket.startDay) + 1;
+      if (overlapDays > 0) {
+        const key = `${item.engineerId}:${bucket.key}`;
+        const entry = totals.get(key) || {
+          _id: { engineerId: item.engineerId, bucket: bucket.key },
+          percentageDays: 0
+        };
+        entry.percentageDays += item[percentageField] * overlapDays;
+        totals.set(key, entry);
+      }
+    });
+  });
+
+  return Array.from(totals.values());
+};
+
+const emptyTotals = buckets => buckets.map(bucket => ({
+  key: bucket.key,
+  allocated: 0,
+  available: 0
+}));
+
+const finalizeBuckets = totals => totals.map(({ key, allocated, available }) => ({
+  key,
+  allocated: round(allocated),
+  available: round(available),
+  free: round(Math.max(0, available - allocated)),
+  utilization: available ? round(allocated / available) : null
+}));
+
+// Roll engineer-level buckets up into a group (department, seniority or the whole org)
+const rollUp = (engineers, buckets, groupField) => {
+  const groups = new Map();
+
+  engineers.forEach(engineer => {
+    const groupKey = groupField ? engineer[groupField] || 'unassigned' : 'all';
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { engineers: 0, totals: emptyTotals(buckets) });
+    }
+
+    const group = groups.get(groupKey);
+    group.engineers++;
+    engineer.buckets.forEach((bucket, index) => {
+      group.totals[index].allocated += bucket.allocated;
+      group.totals[index].available += bucket.available;
+    });
+  });
+
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, group]) => ({
+      ...(groupField ? { [groupField]: key } : {}),
+      engineers: group.engineers,
+      buckets: finalizeBuckets(group.totals)
+    }));
+};
+
+// Allocated versus available capacity per engineer, department and seniority, bucketed over time.
+// An overlay (see scenario.service) swaps stored assignments for a scenario's drafts.
+const getUtilization = async ({ startDate, endDate, interval = 'month', department, seniority, overlay }) => {
+  const buckets = buildBuckets(startDate, endDate, interval);
+  if (buckets.length > MAX_BUCKETS) {
+    throw new BadRequestError(`Date range spans more than ${MAX_BUCKETS} buckets`, { code: 'RANGE_TOO_LARGE' });
+  }
+
+  const engineerMatch = { role: 'engineer' };
+  if (department) {
+    engineerMatch.department = department;
+  }
+  if (seniority) {
+    engineerMatch.seniority = seniority;
+  }
+
+  const engineers = await User.aggregate([
+    { $match: engineerMatch },
+    {
+      $project: {
+        name: 1,
+        email: 1,
+        department: 1,
+        seniority: 1,
+        maxCapacity: { $ifNull: ['$maxCapacity', DEFAULT_MAX_CAPACITY] }
+      }
+    },
+    { $sort: { name: 1 } }
+  ]);
+
+  const engineerIds = engineers.map(engineer => engineer._id);
+  const assignmentMatch = {
+    engineerId: { $in: engineerIds },
+    status: { $nin: Assignment.nonReservingStatuses() }
+  };
+  if (overlay) {
+    assignmentMatch._id = { $nin: overlay.excludeAssignmentIds };
+  }
+
+  const [storedAllocationDays, timeOffDays] = engineers.length
+    ? await Promise.all([
+      aggregatePercentageDays(Assignment, 'allocationPercentage', buckets, assignmentMatch),
+      aggregatePercentageDays(TimeOff, 'percentage', buckets, {
+        engineerId: { $in: engineerIds },
+        status: 'approved'
+      })
+    ])
+    : [[], []];
+
+  const draftAssignments = overlay
+    ? overlay.additionalAssignments.filter(assignment =>
+      engineerIds.some(id => id.equals(assignment.engineerId)) &&
+      !Assignment.nonReservingStatuses().includes(assignment.status))
+    : [];
+  const allocationDays = storedAllocationDays.concat(
+    sumPercentageDays(draftAssignments, 'allocationPercentage', buckets)
+  );
+
+  const toLookup = entries => entries.reduce((lookup, entry) => {
+    const key = `${entry._id.engineerId}:${entry._id.bucket}`;
+    return lookup.set(key, (lookup.get(key) || 0) + entry.percentageDays);
+  }, new Map());
+  const allocationLookup = toLookup(allocationDays);
+  const timeOffLookup = toLookup(timeOffDays);
+
+  // Approved leave removes its share of maxCapacity from what is available in a bucket
+  const engineerRows = engineers.map(engineer => ({
+    ...engineer,
+    buckets: buckets.map(bucket => {
+      const lookupKey = `${engineer._id}:${bucket.key}`;
+      const leaveShare = (timeOffLookup.get(lookupKey) || 0) / bucket.days / 100;
+      return {
+        key: bucket.key,
+        allocated: (allocationLookup.get(lookupKey) || 0) / bucket.days,
+        available: engineer.maxCapacity * Math.max(0, 1 - leaveShare)
+      };
+    })
+  }));
+
+  return {
+    startDate: fromDay(buckets[0].startDay),
+    endDate: fromDay(buckets[buckets.length - 1].endDay),
+    interval,
+    buckets: buckets.map(bucket => ({
+      key: bucket.key,
+      startDate: fromDay(bucket.startDay),
+      endDate: fromDay(bucket.endDay),
+      days: bucket.days
+    })),
+    engineers: engineerRows.map(engineer => ({
+      ...engineer,
+      buckets: finalizeBuckets(engineer.buckets)
+    })),
+    departments: rollUp(engineerRows, buckets, 'department'),
+    seniority: rollUp(engineerRows, buckets, 'seniority'),
+    totals: rollUp(engineerRows, buckets)[0] || { engineers: 0, buckets: finalizeBuckets(emptyTotals(buckets)) }
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  buildBuckets,
+  getUtilization
+};
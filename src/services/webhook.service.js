@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const { subscribe } = require('./events.service');
+const { logger } = require('./logger.service');
+
+const MAX_ATTEMPTS = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const REQUEST_TIMEOUT_MS = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// A delivery left in 'processing' this long (e.g. after a crash) is picked up again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Signature over "<timestamp>.<body>" so receivers can reject replayed deliveries
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const backoff = attempt => Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+
+// Queue a delivery for every active webhook subscribed to the event
+const enqueueEvent = async event => {
+  const webhooks = await Webhook.find({
+    isActive: true,
+    events: { $in: [event.type, '*'] }
+  });
+
+  if (!webhooks.length) {
+    return [];
+  }
+
+  return WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhookId: webhook._id,
+    event: event.type,
+    payload: {
+      event: event.type,
+      occurredAt: event.occurredAt,
+      actorId: event.actorId,
+      data: event.data
+    }
+  })));
+};
+
+// Send one delivery and record the attempt; failures are rescheduled with backoff
+const attemptDelivery = async delivery => {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  const attemptedAt = new Date();
+
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ attemptedAt, error: 'Webhook is inactive or deleted' });
+    delivery.lockedAt = undefined;
+    return delivery.save();
+  }
+
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS());
+  const attempt = { attemptedAt };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ERM-Webhooks/1.0',
+        'X-ERM-Event': delivery.event,
+        'X-ERM-Delivery': delivery._id.toString(),
+        'X-ERM-Timestamp': String(timestamp),
+        'X-ERM-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+      },
+      body,
+      signal: controller.signal
+    });
+    attempt.responseStatus = response.status;
+    if (!response.ok) {
+      attempt.error = `Receiver responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'AbortError' ? 'Request timed out' : error.message;
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  attempt.durationMs = Date.now() - attemptedAt.getTime();
+  delivery.attempts.push(attempt);
+  delivery.lockedAt = undefined;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS()) {
+    delivery.status = 'failed';
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + backoff(delivery.attempts.length));
+  }
+
+  return delivery.save();
+};
+
+// Claim due deliveries one at a time (atomically, so several workers can share the queue)
+const processDueDeliveries = async ({ limit = 50 } = {}) => {
+  const result = { succeeded: 0, retried: 0, failed: 0 };
+
+  for (let processed = 0; processed < limit; processed++) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { status: 'processing', lockedAt: now },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!delivery) {
+      break;
+    }
+
+    const saved = await attemptDelivery(delivery);
+    if (saved.status === 'succeeded') {
+      result.succeeded++;
+    } else if (saved.status === 'failed') {
+      result.failed++;
+    } else {
+      result.retried++;
+    }
+  }
+
+  return result;
+};
+
+// Put a delivery back on the queue for an immediate attempt
+const retryDelivery = delivery => {
+  delivery.status = 'pending';
+  delivery.nextAttemptAt = new Date();
+  delivery.lockedAt = undefined;
+  return delivery.save();
+};
+
+// Queue deliveries whenever a domain event is published
+const startWebhookDispatcher = () => subscribe(event => {
+  enqueueEvent(event).catch(error => {
+    logger.error('Failed to queue webhooks', { event: event.type, error });
+  });
+});
+
+module.exports = {
+  generateSecret,
+  sign,
+  enqueueEvent,
+  processDueDeliveries,
+  retryDelivery,
+  startWebhookDispatcher
+};